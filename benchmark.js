@@ -0,0 +1,128 @@
+// benchmark.js - Times seating map updates with a large synthetic venue
+//
+// Run `node mock-server.js --synthetic 2000` and open benchmark.html. The app
+// is loaded in a frame and switched through every day and event. Each step
+// records how long the map update took (from the app's seatmap:rendered
+// event) and how many DOM mutations it made.
+
+document.addEventListener("DOMContentLoaded", function () {
+  const frame = document.getElementById("app-frame");
+  const summary = document.getElementById("benchmark-summary");
+  const results = document.getElementById("benchmark-results");
+  const runButton = document.getElementById("run-benchmark");
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Resolve once the app has drawn its first seats. Rejects with the app's
+  // error message if it fails to load, or after timeout ms.
+  async function waitForApp(timeout = 30000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const doc = frame.contentDocument;
+      if (doc && doc.querySelector(".venue-layout [role='gridcell']")) {
+        return doc;
+      }
+      // The message is followed by a retry button
+      const error = doc && doc.querySelector(".error-message");
+      if (error) {
+        throw new Error(
+          `The app failed to load: ${error.firstChild.textContent}`
+        );
+      }
+      if (Date.now() > deadline) {
+        throw new Error(
+          `The app did not show any seats within ${timeout / 1000} seconds.`
+        );
+      }
+      await wait(100);
+    }
+  }
+
+  // Change a filter control and resolve with the time the map update took
+  // and the number of DOM mutations it made
+  function measure(doc, control) {
+    const layout = doc.querySelector(".venue-layout");
+    let mutations = 0;
+    const observer = new frame.contentWindow.MutationObserver((records) => {
+      mutations += records.length;
+    });
+    observer.observe(layout, {
+      attributes: true,
+      childList: true,
+      characterData: true,
+      subtree: true,
+    });
+
+    return new Promise((resolve) => {
+      layout.addEventListener(
+        "seatmap:rendered",
+        (event) => {
+          // Mutation records are delivered after the update finishes
+          setTimeout(() => {
+            observer.disconnect();
+            resolve({ duration: event.detail.duration, mutations: mutations });
+          });
+        },
+        { once: true }
+      );
+      control.dispatchEvent(new Event("change"));
+    });
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  async function run() {
+    runButton.disabled = true;
+    results.innerHTML = "";
+    try {
+      const doc = await waitForApp();
+
+      if (doc.getElementById("venue-filter").value !== "benchmark") {
+        summary.textContent =
+          "The synthetic venue is missing. Start the mock server with --synthetic 2000.";
+        return;
+      }
+
+      const daySelect = doc.getElementById("day-filter");
+      const steps = [];
+
+      for (const radio of doc.querySelectorAll('input[name="event-type"]')) {
+        radio.checked = true;
+        await measure(doc, radio);
+
+        for (const option of daySelect.options) {
+          daySelect.value = option.value;
+          const step = await measure(doc, daySelect);
+          step.view = `${option.value} - ${radio.value}`;
+          steps.push(step);
+
+          const row = document.createElement("tr");
+          row.innerHTML = `<td>${step.view}</td><td>${step.duration.toFixed(
+            1
+          )}</td><td>${step.mutations}</td>`;
+          results.appendChild(row);
+        }
+      }
+
+      const durations = steps.map((step) => step.duration);
+      const cellCount = doc.querySelectorAll(
+        ".venue-layout [role='gridcell']"
+      ).length;
+      summary.textContent =
+        `${steps.length} updates of ${cellCount} cells: ` +
+        `median ${median(durations).toFixed(1)} ms, ` +
+        `slowest ${Math.max(...durations).toFixed(1)} ms, ` +
+        `median ${median(steps.map((step) => step.mutations))} DOM changes`;
+    } catch (error) {
+      summary.textContent = error.message;
+    } finally {
+      runButton.disabled = false;
+    }
+  }
+
+  runButton.addEventListener("click", run);
+  run();
+});
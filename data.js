@@ -10,7 +10,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "64.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Acme-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000400065ZZAQ",
@@ -19,7 +22,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "65.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Acme-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   // Stairway between 65-68
   {
@@ -29,7 +35,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "68.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Acme-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000400069ZZAQ",
@@ -38,7 +47,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "69.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Acme-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000400070ZZAQ",
@@ -47,7 +59,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "70.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Acme-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   // ===== BOOKINGS THAT SPAN ACROSS PILLARS =====
 
@@ -59,7 +74,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "38.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-AlbertaEnergy-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000300039ZZAQ",
@@ -68,7 +86,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "39.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-AlbertaEnergy-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   // Pillar at E40-41
   {
@@ -78,7 +99,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "42.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-AlbertaEnergy-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000300043ZZAQ",
@@ -87,7 +111,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "43.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-AlbertaEnergy-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
 
   // PCL Construction - 6 seats spanning across pillar in Row E (54-59) - Day 6 (spans pillar at E56-57)
@@ -98,7 +125,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "54.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-PCL-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000310055ZZAQ",
@@ -107,7 +137,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "55.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-PCL-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   // Pillar at E56-57
   {
@@ -117,7 +150,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "58.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-PCL-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000310059ZZAQ",
@@ -126,7 +162,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "59.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-PCL-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
 
   // Pembina Pipeline - 6 seats spanning across pillar in Row E (72-77) - Day 9 (spans pillar at E74-75)
@@ -137,7 +176,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "72.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Pembina-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000320073ZZAQ",
@@ -146,7 +188,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "73.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Pembina-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   // Pillar at E74-75
   {
@@ -156,7 +201,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "76.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Pembina-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000320077ZZAQ",
@@ -165,7 +213,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "77.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Pembina-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
 
   // Imperial Oil - 8 seats spanning across large pillar in Row E (90-97) - Day 4 (spans pillar at E92-95)
@@ -176,7 +227,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "90.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ImperialOil-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000330091ZZAQ",
@@ -185,7 +239,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "91.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ImperialOil-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   // Pillar at E92-95
   {
@@ -195,7 +252,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "96.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ImperialOil-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000330097ZZAQ",
@@ -204,7 +264,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "97.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ImperialOil-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
 
   // ===== LONGER BOOKINGS (10 SEATS) =====
@@ -217,7 +280,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "68.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340069ZZAQ",
@@ -226,7 +292,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "69.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340070ZZAQ",
@@ -235,7 +304,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "70.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340071ZZAQ",
@@ -244,7 +316,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "71.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340072ZZAQ",
@@ -253,7 +328,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "72.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340073ZZAQ",
@@ -262,7 +340,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "73.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340074ZZAQ",
@@ -271,7 +352,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "74.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340075ZZAQ",
@@ -280,7 +364,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "75.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340076ZZAQ",
@@ -289,7 +376,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "76.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000340077ZZAQ",
@@ -298,7 +388,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "77.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Syncrude-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
 
   // Nutrien - 10 adjacent seats in Row B (86-95) - Day 7
@@ -309,7 +402,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "86.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350087ZZAQ",
@@ -318,7 +414,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "87.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350088ZZAQ",
@@ -327,7 +426,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "88.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350089ZZAQ",
@@ -336,7 +438,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "89.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350090ZZAQ",
@@ -345,7 +450,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "90.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350091ZZAQ",
@@ -354,7 +462,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "91.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350092ZZAQ",
@@ -363,7 +474,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "92.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350093ZZAQ",
@@ -372,7 +486,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "93.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350094ZZAQ",
@@ -381,7 +498,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "94.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000350095ZZAQ",
@@ -390,7 +510,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "95.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Nutrien-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   // Day 1 - Friday bookings
 
@@ -402,7 +525,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "50.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TechInnovations-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000230051ZZAQ",
@@ -411,7 +537,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "51.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TechInnovations-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000230052ZZAQ",
@@ -420,7 +549,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "52.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TechInnovations-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
 
   // Connected seats: Mountain Resources - 3 adjacent seats in Row A (53-55) - Day 1 (side by side with Tech Innovations)
@@ -431,7 +563,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "53.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-MountainResources-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000230054ZZAQ",
@@ -440,7 +575,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "54.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-MountainResources-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000230055ZZAQ",
@@ -449,7 +587,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "55.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-MountainResources-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
 
   // Connected seats: Calgary Co-op - 4 adjacent seats in Row C (41-44) - Day 1
@@ -460,7 +601,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "41.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CalgaryCoOp-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000030042ZZAQ",
@@ -469,7 +613,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "42.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CalgaryCoOp-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000030043ZZAQ",
@@ -478,7 +625,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "43.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CalgaryCoOp-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000030044ZZAQ",
@@ -487,7 +637,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "44.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CalgaryCoOp-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
 
   // Connected seats: TransCanada Pipeline - Row D seats 35-39 - Day 1
@@ -498,7 +651,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "35.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TransCanada-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000060036ZZAQ",
@@ -507,7 +663,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "36.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TransCanada-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000060037ZZAQ",
@@ -516,7 +675,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "37.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TransCanada-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000060038ZZAQ",
@@ -525,7 +687,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "38.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TransCanada-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000060039ZZAQ",
@@ -534,7 +699,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "39.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TransCanada-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
 
   // Connected seats: Shaw Communications - 3 adjacent seats in Row B (38-40) - Day 1
@@ -545,7 +713,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "38.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Shaw-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000080039ZZAQ",
@@ -554,7 +725,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "39.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Shaw-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000080040ZZAQ",
@@ -563,7 +737,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "40.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Shaw-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
 
   // Day 2 - Saturday bookings
@@ -576,7 +753,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "45.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ATCO-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000040046ZZAQ",
@@ -585,7 +765,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "46.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ATCO-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000040047ZZAQ",
@@ -594,7 +777,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "47.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ATCO-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000040048ZZAQ",
@@ -603,7 +789,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "48.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ATCO-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000040049ZZAQ",
@@ -612,7 +801,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "49.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-ATCO-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
 
   // Connected seats: WestJet Airlines - Row E seats 30-34 - Day 2
@@ -623,7 +815,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "30.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-WestJet-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000070031ZZAQ",
@@ -632,7 +827,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "31.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-WestJet-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000070032ZZAQ",
@@ -641,7 +839,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "32.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-WestJet-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000070033ZZAQ",
@@ -650,7 +851,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "33.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-WestJet-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000070034ZZAQ",
@@ -659,7 +863,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "34.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-WestJet-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
 
   // Day 3 - Sunday bookings
@@ -672,7 +879,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "38.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Suncor-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000050039ZZAQ",
@@ -681,7 +891,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "39.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Suncor-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000050040ZZAQ",
@@ -690,7 +903,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "40.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Suncor-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000050041ZZAQ",
@@ -699,7 +915,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "41.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Suncor-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000050042ZZAQ",
@@ -708,7 +927,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "42.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Suncor-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000050043ZZAQ",
@@ -717,7 +939,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "43.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Suncor-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
 
   // Day 4 - Monday bookings
@@ -730,7 +955,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "35.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-BMO-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000090036ZZAQ",
@@ -739,7 +967,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "36.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-BMO-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000090037ZZAQ",
@@ -748,7 +979,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "37.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-BMO-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000090038ZZAQ",
@@ -757,7 +991,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "38.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 4 - Monday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-BMO-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
 
   // Day 5 - Tuesday bookings
@@ -770,7 +1007,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "42.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Deloitte-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000110043ZZAQ",
@@ -779,7 +1019,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "43.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Deloitte-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000110044ZZAQ",
@@ -788,7 +1031,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "44.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Deloitte-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
 
   // Connected seats: RBC Royal Bank - 5 adjacent seats in Row B (30-34) - Day 5
@@ -799,7 +1045,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "30.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-RBC-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000120031ZZAQ",
@@ -808,7 +1057,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "31.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-RBC-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000120032ZZAQ",
@@ -817,7 +1069,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "32.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-RBC-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000120033ZZAQ",
@@ -826,7 +1081,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "33.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-RBC-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
   {
     Id: "00kAs00000120034ZZAQ",
@@ -835,7 +1093,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "34.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 5 - Tuesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-RBC-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
 
   // Day 6 - Wednesday bookings
@@ -848,7 +1109,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "46.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Husky-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000130047ZZAQ",
@@ -857,7 +1121,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "47.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Husky-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000130048ZZAQ",
@@ -866,7 +1133,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "48.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Husky-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000130049ZZAQ",
@@ -875,7 +1145,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "49.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 6 - Wednesday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Husky-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
 
   // Day 7 - Thursday bookings
@@ -888,7 +1161,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "45.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CPRail-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000150046ZZAQ",
@@ -897,7 +1173,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "46.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CPRail-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000150047ZZAQ",
@@ -906,7 +1185,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "47.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CPRail-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000150048ZZAQ",
@@ -915,7 +1197,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "48.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CPRail-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000150049ZZAQ",
@@ -924,7 +1209,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "49.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CPRail-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000150050ZZAQ",
@@ -933,7 +1221,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "50.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 7 - Thursday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CPRail-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
 
   // Day 8 - Friday bookings
@@ -946,7 +1237,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "40.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TDBank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000170041ZZAQ",
@@ -955,7 +1249,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "41.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TDBank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000170042ZZAQ",
@@ -964,7 +1261,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "42.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TDBank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000170043ZZAQ",
@@ -973,7 +1273,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "43.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TDBank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000170044ZZAQ",
@@ -982,7 +1285,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "44.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-TDBank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
 
   // Connected seats: CIBC - 3 adjacent seats in Row D (30-32) - Day 8 Evening Show
@@ -993,7 +1299,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "30.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CIBC-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000180031ZZAQ",
@@ -1002,7 +1311,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "31.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CIBC-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000180032ZZAQ",
@@ -1011,7 +1323,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "32.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 8 - Friday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-CIBC-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
 
   // Day 9 - Saturday bookings
@@ -1024,7 +1339,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "35.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Scotiabank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000190036ZZAQ",
@@ -1033,7 +1351,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "36.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Scotiabank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000190037ZZAQ",
@@ -1042,7 +1363,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "37.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Scotiabank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000190038ZZAQ",
@@ -1051,7 +1375,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "38.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Scotiabank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000190039ZZAQ",
@@ -1060,7 +1387,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "39.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Scotiabank-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
 
   // Connected seats: Enbridge - 4 adjacent seats in Row A (34-37) - Day 9 Rodeo
@@ -1071,7 +1401,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "34.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Enbridge-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000200035ZZAQ",
@@ -1080,7 +1413,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "35.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Enbridge-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000200036ZZAQ",
@@ -1089,7 +1425,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "36.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Enbridge-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
   {
     Id: "00kAs00000200037ZZAQ",
@@ -1098,7 +1437,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "37.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 9 - Saturday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Enbridge-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
   },
 
   // Day 10 - Sunday bookings
@@ -1111,7 +1453,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "30.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Cenovus-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000210031ZZAQ",
@@ -1120,7 +1465,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "31.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Cenovus-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000210032ZZAQ",
@@ -1129,7 +1477,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "32.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Cenovus-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000210033ZZAQ",
@@ -1138,7 +1489,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "33.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Cenovus-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000210034ZZAQ",
@@ -1147,7 +1501,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "34.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Cenovus-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
   {
     Id: "00kAs00000210035ZZAQ",
@@ -1156,7 +1513,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "35.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Cenovus-001",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
   },
 
   // Connected seats: Telus - 4 adjacent seats in Row D (46-49) - Day 10 Evening Show
@@ -1167,7 +1527,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "46.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Telus-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000220047ZZAQ",
@@ -1176,7 +1539,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "47.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Telus-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000220048ZZAQ",
@@ -1185,7 +1551,10 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "48.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Telus-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
   },
   {
     Id: "00kAs00000220049ZZAQ",
@@ -1194,6 +1563,505 @@ const SALESFORCE_DATA = [
     "PricebookEntry.Product2.Seat_Number": "49.0",
     "PricebookEntry.Product2.Day_of_Stampede": "Day 10 - Sunday",
     "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "loge",
     "Opportunity.Id": "OPP-Telus-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
+  },
+
+  // ===== HOLDS, COMPS AND BLOCKED SEATS =====
+
+  // Held seats: Cenovus Energy - 4 seats in Row D (50-53) on hold until June 27 - Day 1
+  {
+    Id: "00kAs00000811050ZZAQ",
+    Opportunity_Account_Name: "Cenovus Energy",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "50.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Cenovus-002",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
+    Seat_Status: "Held",
+    Hold_Expires: "2025-06-27T23:00:00.000Z",
+  },
+  {
+    Id: "00kAs00000811051ZZAQ",
+    Opportunity_Account_Name: "Cenovus Energy",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "51.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Cenovus-002",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
+    Seat_Status: "Held",
+    Hold_Expires: "2025-06-27T23:00:00.000Z",
+  },
+  {
+    Id: "00kAs00000811052ZZAQ",
+    Opportunity_Account_Name: "Cenovus Energy",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "52.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Cenovus-002",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
+    Seat_Status: "Held",
+    Hold_Expires: "2025-06-27T23:00:00.000Z",
+  },
+  {
+    Id: "00kAs00000811053ZZAQ",
+    Opportunity_Account_Name: "Cenovus Energy",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "53.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Cenovus-002",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
+    Seat_Status: "Held",
+    Hold_Expires: "2025-06-27T23:00:00.000Z",
+  },
+  // Held seat: Shaw Communications - single seat in Row B (60) reserved until June 25 - Day 1
+  {
+    Id: "00kAs00000812060ZZAQ",
+    Opportunity_Account_Name: "Shaw Communications",
+    "PricebookEntry.Product2.Row": "B",
+    "PricebookEntry.Product2.Seat_Number": "60.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Shaw-002",
+    "Opportunity.Owner.Name": "Megan Clarke",
+    "Opportunity.Sponsor_Tier": "Gold",
+    Seat_Status: "Reserved",
+    Hold_Expires: "2025-06-25T23:00:00.000Z",
+  },
+  // Comp seats: Calgary Stampede Foundation - 2 seats in Row A (30-31) - Day 1
+  {
+    Id: "00kAs00000813030ZZAQ",
+    Opportunity_Account_Name: "Calgary Stampede Foundation",
+    "PricebookEntry.Product2.Row": "A",
+    "PricebookEntry.Product2.Seat_Number": "30.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Foundation-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+    Seat_Status: "Comp",
+  },
+  {
+    Id: "00kAs00000813031ZZAQ",
+    Opportunity_Account_Name: "Calgary Stampede Foundation",
+    "PricebookEntry.Product2.Row": "A",
+    "PricebookEntry.Product2.Seat_Number": "31.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Foundation-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+    Seat_Status: "Comp",
+  },
+  // Blocked seats: Row E (100-103) killed for the camera platform - Day 1
+  {
+    Id: "00kAs00000814100ZZAQ",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "100.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    Seat_Status: "Killed",
+  },
+  {
+    Id: "00kAs00000814101ZZAQ",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "101.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    Seat_Status: "Killed",
+  },
+  {
+    Id: "00kAs00000814102ZZAQ",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "102.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    Seat_Status: "Killed",
+  },
+  {
+    Id: "00kAs00000814103ZZAQ",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "103.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    Seat_Status: "Killed",
+  },
+
+  // ===== GRANDSTAND BOOKINGS =====
+
+  // Connected seats: WestJet Airlines - 8 adjacent seats in Row H (44-51) - Day 1
+  {
+    Id: "00kAs00000910044ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "44.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  {
+    Id: "00kAs00000910045ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "45.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  {
+    Id: "00kAs00000910046ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "46.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  {
+    Id: "00kAs00000910047ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "47.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  {
+    Id: "00kAs00000910048ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "48.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  {
+    Id: "00kAs00000910049ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "49.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  {
+    Id: "00kAs00000910050ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "50.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  {
+    Id: "00kAs00000910051ZZAQ",
+    Opportunity_Account_Name: "WestJet Airlines",
+    "PricebookEntry.Product2.Row": "H",
+    "PricebookEntry.Product2.Seat_Number": "51.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Evening Show",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-WestJet-GS-001",
+    "Opportunity.Owner.Name": "Sarah Olsen",
+    "Opportunity.Sponsor_Tier": "Silver",
+  },
+  // Connected seats: Calgary Co-op - 6 seats in Row C (18-23) - Day 1 (spans stairway between blocks A and B)
+  {
+    Id: "00kAs00000911018ZZAQ",
+    Opportunity_Account_Name: "Calgary Co-op",
+    "PricebookEntry.Product2.Row": "C",
+    "PricebookEntry.Product2.Seat_Number": "18.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-CalgaryCoop-GS-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000911019ZZAQ",
+    Opportunity_Account_Name: "Calgary Co-op",
+    "PricebookEntry.Product2.Row": "C",
+    "PricebookEntry.Product2.Seat_Number": "19.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-CalgaryCoop-GS-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000911020ZZAQ",
+    Opportunity_Account_Name: "Calgary Co-op",
+    "PricebookEntry.Product2.Row": "C",
+    "PricebookEntry.Product2.Seat_Number": "20.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-CalgaryCoop-GS-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000911021ZZAQ",
+    Opportunity_Account_Name: "Calgary Co-op",
+    "PricebookEntry.Product2.Row": "C",
+    "PricebookEntry.Product2.Seat_Number": "21.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-CalgaryCoop-GS-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000911022ZZAQ",
+    Opportunity_Account_Name: "Calgary Co-op",
+    "PricebookEntry.Product2.Row": "C",
+    "PricebookEntry.Product2.Seat_Number": "22.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-CalgaryCoop-GS-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000911023ZZAQ",
+    Opportunity_Account_Name: "Calgary Co-op",
+    "PricebookEntry.Product2.Row": "C",
+    "PricebookEntry.Product2.Seat_Number": "23.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-CalgaryCoop-GS-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  // Connected seats: Suncor Energy - 5 adjacent seats in Row A (25-29) - Day 3
+  {
+    Id: "00kAs00000933025ZZAQ",
+    Opportunity_Account_Name: "Suncor Energy",
+    "PricebookEntry.Product2.Row": "A",
+    "PricebookEntry.Product2.Seat_Number": "25.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-Suncor-GS-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
+  },
+  {
+    Id: "00kAs00000933026ZZAQ",
+    Opportunity_Account_Name: "Suncor Energy",
+    "PricebookEntry.Product2.Row": "A",
+    "PricebookEntry.Product2.Seat_Number": "26.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-Suncor-GS-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
+  },
+  {
+    Id: "00kAs00000933027ZZAQ",
+    Opportunity_Account_Name: "Suncor Energy",
+    "PricebookEntry.Product2.Row": "A",
+    "PricebookEntry.Product2.Seat_Number": "27.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-Suncor-GS-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
+  },
+  {
+    Id: "00kAs00000933028ZZAQ",
+    Opportunity_Account_Name: "Suncor Energy",
+    "PricebookEntry.Product2.Row": "A",
+    "PricebookEntry.Product2.Seat_Number": "28.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-Suncor-GS-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
+  },
+  {
+    Id: "00kAs00000933029ZZAQ",
+    Opportunity_Account_Name: "Suncor Energy",
+    "PricebookEntry.Product2.Row": "A",
+    "PricebookEntry.Product2.Seat_Number": "29.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 3 - Sunday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "grandstand",
+    "Opportunity.Id": "OPP-Suncor-GS-001",
+    "Opportunity.Owner.Name": "Raj Patel",
+    "Opportunity.Sponsor_Tier": "Platinum",
+  },
+
+  // ===== BOOKING THAT SPANS TWO ROWS =====
+  // ENMAX Corporation - 10 seats in Rows D and E (45-49) - Day 2 - one opportunity
+  {
+    Id: "00kAs00000950045ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "45.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000950046ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "46.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000950047ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "47.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000950048ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "48.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000950049ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "D",
+    "PricebookEntry.Product2.Seat_Number": "49.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000951045ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "45.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000951046ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "46.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000951047ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "47.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000951048ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "48.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
+  },
+  {
+    Id: "00kAs00000951049ZZAQ",
+    Opportunity_Account_Name: "ENMAX Corporation",
+    "PricebookEntry.Product2.Row": "E",
+    "PricebookEntry.Product2.Seat_Number": "49.0",
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 2 - Saturday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": "OPP-Enmax-001",
+    "Opportunity.Owner.Name": "Tom Nguyen",
+    "Opportunity.Sponsor_Tier": "Bronze",
   },
 ];
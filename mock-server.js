@@ -0,0 +1,386 @@
+// mock-server.js - Local development server for the seat map
+//
+// Serves the app and a Salesforce-style REST query endpoint with the records
+// from data.js, so the REST data source can be tried without an org:
+//
+//   node mock-server.js [--port 3000] [--delay 0] [--fail-rate 0] [--page-size 100]
+//                       [--synthetic 0] [--simulate 0]
+//
+// Then open http://localhost:3000/index.html?source=rest&url=/api/seats
+// Use --delay and --fail-rate to try the loading and retry states.
+//
+// Live updates are sent as server-sent events from /api/live. Open the map
+// with &live=/api/live&user=<name> in two windows to see one rep's booking
+// cart and changes in the other. Changes can be posted to /api/live/changes
+// as { changes: [{ type, record }], user }, and with --simulate <seconds>
+// the server makes a random change as another rep that often.
+//
+// With --synthetic <seats>, the endpoint serves generated bookings for a
+// "benchmark" venue of about that many seats instead, which is added to
+// venues.js. Open http://localhost:3000/benchmark.html to time the map.
+
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import vm from "node:vm";
+import * as syntheticData from "./synthetic-data.js";
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+};
+
+// Read "--name value" command line options
+function getOption(name, defaultValue) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? Number(process.argv[index + 1]) : defaultValue;
+}
+
+const options = {
+  port: getOption("port", 3000),
+  delay: getOption("delay", 0),
+  failRate: getOption("fail-rate", 0),
+  synthetic: getOption("synthetic", 0),
+  simulate: getOption("simulate", 0),
+};
+// Synthetic data is served in larger pages to keep the request count down
+options.pageSize = getOption("page-size", options.synthetic ? 5000 : 100);
+
+// Evaluate data.js the same way the browser does and pick up its records
+function loadRecords() {
+  const context = {};
+  const code = fs.readFileSync(path.join(ROOT, "data.js"), "utf8");
+  vm.runInNewContext(`${code}\nthis.records = SALESFORCE_DATA;`, context);
+  return context.records;
+}
+
+const syntheticVenue = options.synthetic
+  ? syntheticData.createVenue(options.synthetic)
+  : null;
+const records = syntheticVenue
+  ? syntheticData.createRecords(syntheticVenue)
+  : loadRecords();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": MIME_TYPES[".json"],
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Respond like a Salesforce REST query, one page at a time
+function handleSeats(req, res, url) {
+  if (Math.random() < options.failRate) {
+    sendJson(res, 503, [
+      { errorCode: "SERVER_UNAVAILABLE", message: "Mock failure" },
+    ]);
+    return;
+  }
+
+  const offset = Number(url.searchParams.get("offset")) || 0;
+  const page = records.slice(offset, offset + options.pageSize);
+  const nextOffset = offset + page.length;
+  const done = nextOffset >= records.length;
+
+  sendJson(res, 200, {
+    totalSize: records.length,
+    done: done,
+    nextRecordsUrl: done ? undefined : `/api/seats?offset=${nextOffset}`,
+    records: page,
+  });
+}
+
+// Live updates: the open event streams and the seats each page is
+// selecting, by client ID, and the last changes, which are replayed to pages
+// that reconnect with a Last-Event-ID
+const liveClients = new Map();
+const selections = new Map();
+const changeLog = [];
+const CHANGE_LOG_SIZE = 500;
+let lastEventId = 0;
+
+function sendEvent(res, name, data, id) {
+  res.write(
+    `${id ? `id: ${id}\n` : ""}event: ${name}\ndata: ${JSON.stringify(
+      data
+    )}\n\n`
+  );
+}
+
+function broadcast(name, data, id) {
+  liveClients.forEach((res) => sendEvent(res, name, data, id));
+}
+
+// Read a JSON request body
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > 1e6) req.destroy(new Error("Request too large"));
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Apply a change to the served records, so pages loaded later see it
+function applyChange(change) {
+  const index = records.findIndex((record) => record.Id === change.record.Id);
+  if (change.type === "delete") {
+    if (index !== -1) records.splice(index, 1);
+  } else if (index === -1) {
+    records.push(change.record);
+  } else if (change.type === "update") {
+    records[index] = { ...records[index], ...change.record };
+  } else {
+    records[index] = change.record;
+  }
+}
+
+function publishChanges(message) {
+  message.changes.forEach(applyChange);
+  lastEventId++;
+  changeLog.push({ id: lastEventId, message: message });
+  if (changeLog.length > CHANGE_LOG_SIZE) changeLog.shift();
+  broadcast("change", message, lastEventId);
+}
+
+// Stream changes and selections to a page
+function handleLive(req, res, url) {
+  const clientId = url.searchParams.get("client") || `client-${Date.now()}`;
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write("retry: 3000\n\n");
+
+  // Replay what a reconnecting page missed, or tell it to reload when the
+  // log no longer goes back far enough
+  const since = Number(req.headers["last-event-id"]);
+  if (since) {
+    const missed = changeLog.filter((entry) => entry.id > since);
+    // A restarted server starts counting again
+    if (since > lastEventId || missed.length < lastEventId - since) {
+      sendEvent(res, "reset", {});
+    } else {
+      missed.forEach((entry) =>
+        sendEvent(res, "change", entry.message, entry.id)
+      );
+    }
+  }
+  selections.forEach((selection) => sendEvent(res, "selection", selection));
+
+  liveClients.set(clientId, res);
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    // A page that reconnected already has a new stream
+    if (liveClients.get(clientId) !== res) return;
+    liveClients.delete(clientId);
+    const selection = selections.get(clientId);
+    if (selection) {
+      selections.delete(clientId);
+      broadcast("selection", { ...selection, seats: [] });
+    }
+  });
+}
+
+// Apply changes posted as { changes, user } and send them to every page
+async function handleChanges(req, res) {
+  try {
+    const message = await readJson(req);
+    if (
+      !Array.isArray(message.changes) ||
+      !message.changes.every((change) => change.record && change.record.Id)
+    ) {
+      sendJson(res, 400, { error: "Expected { changes: [{ type, record }] }" });
+      return;
+    }
+    publishChanges({ changes: message.changes, user: message.user || "" });
+    sendJson(res, 200, { id: lastEventId });
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+}
+
+// Share the seats a page is selecting with the other pages
+async function handleSelection(req, res) {
+  try {
+    const selection = await readJson(req);
+    if (!selection.clientId || !Array.isArray(selection.seats)) {
+      sendJson(res, 400, { error: "Expected { clientId, user, seats }" });
+      return;
+    }
+    if (selection.seats.length > 0) {
+      selections.set(selection.clientId, selection);
+    } else {
+      selections.delete(selection.clientId);
+    }
+    broadcast("selection", selection);
+    sendJson(res, 200, {});
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+}
+
+// Other reps at work, for --simulate: holds become sales, seats are
+// released, and released seats are held again
+const SIMULATED_REPS = [
+  "Megan Clarke",
+  "Raj Patel",
+  "Tom Nguyen",
+  "Sarah Olsen",
+];
+const releasedRecords = [];
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function simulateChange() {
+  let change;
+  if (releasedRecords.length > 0 && Math.random() < 0.3) {
+    const record = releasedRecords.splice(
+      Math.floor(Math.random() * releasedRecords.length),
+      1
+    )[0];
+    change = { type: "insert", record: { ...record, Seat_Status: "Held" } };
+  } else {
+    const record = pick(
+      records.filter((entry) => entry.Seat_Status !== "Killed")
+    );
+    if (!record) return;
+    if (record.Seat_Status === "Held") {
+      change = {
+        type: "update",
+        record: { Id: record.Id, Seat_Status: "Sold" },
+      };
+    } else if (Math.random() < 0.5) {
+      releasedRecords.push(record);
+      change = { type: "delete", record: { Id: record.Id } };
+    } else {
+      change = {
+        type: "update",
+        record: { Id: record.Id, Seat_Status: "Held" },
+      };
+    }
+  }
+  publishChanges({ changes: [change], user: pick(SIMULATED_REPS) });
+}
+
+// Serve venues.js with the synthetic venue added
+function handleVenues(req, res) {
+  const code = fs.readFileSync(path.join(ROOT, "venues.js"), "utf8");
+  res.writeHead(200, { "Content-Type": MIME_TYPES[".js"] });
+  res.end(
+    `${code}\nVENUE_DEFINITIONS.benchmark = ${JSON.stringify(
+      syntheticVenue
+    )};\n`
+  );
+}
+
+// Serve files from the repository
+function handleStatic(req, res, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(
+      url.pathname === "/" ? "/index.html" : url.pathname
+    );
+  } catch (error) {
+    // Malformed escapes such as "/%"
+    res.writeHead(400);
+    res.end("Bad request");
+    return;
+  }
+  const filePath = path.normalize(path.join(ROOT, pathname));
+
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end("Forbidden");
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404);
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type":
+        MIME_TYPES[path.extname(filePath)] || "application/octet-stream",
+    });
+    res.end(content);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  // Only the path is used, so a bad Host header doesn't matter
+  let url;
+  try {
+    url = new URL(req.url, "http://localhost");
+  } catch (error) {
+    // Malformed absolute URLs such as "http://["
+    res.writeHead(400);
+    res.end("Bad request");
+    return;
+  }
+
+  setTimeout(() => {
+    if (url.pathname === "/api/seats") {
+      handleSeats(req, res, url);
+    } else if (url.pathname === "/api/live") {
+      handleLive(req, res, url);
+    } else if (url.pathname === "/api/live/changes" && req.method === "POST") {
+      handleChanges(req, res);
+    } else if (
+      url.pathname === "/api/live/selections" &&
+      req.method === "POST"
+    ) {
+      handleSelection(req, res);
+    } else if (url.pathname === "/venues.js" && syntheticVenue) {
+      handleVenues(req, res);
+    } else {
+      handleStatic(req, res, url);
+    }
+  }, options.delay);
+});
+
+server.listen(options.port, () => {
+  console.log(
+    `Seat map mock server running at http://localhost:${options.port}`
+  );
+  if (syntheticVenue) {
+    console.log(
+      `Serving ${records.length} synthetic records for ${syntheticVenue.name}`
+    );
+    console.log(`Open http://localhost:${options.port}/benchmark.html`);
+  } else {
+    console.log(
+      `Open http://localhost:${options.port}/index.html?source=rest&url=/api/seats`
+    );
+  }
+  console.log(
+    "Add &live=/api/live&user=<name> to the page URL for live updates"
+  );
+  if (options.simulate) {
+    console.log(`Simulating a change every ${options.simulate}s`);
+    setInterval(simulateChange, options.simulate * 1000);
+  }
+});
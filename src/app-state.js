@@ -0,0 +1,956 @@
+// app-state.js - State management module
+//
+// This mimics the reactive state management in LWC
+
+import { VenueLayout } from "./venue-layout.js";
+import { COLOR_MODES } from "./constants.js";
+import { Logger, debounce } from "./utils.js";
+import { DataService } from "./data-service.js";
+
+export const AppState = {
+  // Raw data
+  seatData: [],
+
+  // Filtered data for display (similar to filteredSeatData in LWC)
+  filteredSeatData: [],
+
+  // Processed data with connected seats
+  processedData: [],
+
+  // Filter state
+  selectedVenue: "",
+  selectedDay: "",
+  selectedEvent: "",
+
+  // Venue, day and event shown when nothing else is asked for
+  defaultView: null,
+
+  // Selected seat
+  selectedSeat: null,
+
+  // Seat IDs taken in the current view (e.g. "D47")
+  occupiedSeats: new Set(),
+
+  // Bookings in the current view that span several rows
+  multiRowBookings: [],
+
+  // Blocks found by the best-available search, with the day and event
+  // they were found for
+  seatSuggestions: null,
+
+  // Account shown in the account view
+  selectedAccount: "",
+
+  // Active search, its result and which of the matching views is shown
+  searchQuery: "",
+  searchResult: null,
+  searchViewIndex: 0,
+
+  // Booking mode lets reps select available seats for a new booking
+  bookingMode: false,
+
+  // How booked seats are colored (see COLOR_MODES) and the legend entry
+  // whose seats are highlighted
+  colorMode: "status",
+  colorFocus: "",
+
+  // Seats selected for a new booking. Entries are kept across filter
+  // changes so one booking can cover several days and events.
+  cart: [],
+
+  // Problems found in the seat data, see DataService.findDataIssues
+  dataIssues: [],
+
+  // Records the seat data was built from, by record ID, so live updates
+  // that only carry the changed fields can be merged. Built on first use.
+  rawData: [],
+  recordsById: null,
+
+  // Live updates (see LiveUpdates): the connection status and a note on
+  // the last change, seats other reps changed recently with who changed
+  // them, and the seats other reps are selecting, by connection
+  liveStatus: "",
+  liveMessage: "",
+  recentChanges: [],
+  recentChangeDuration: 10000,
+  remoteSelections: new Map(),
+
+  // Earlier and undone states of the view, selection and cart, most
+  // recent last. See recordHistory.
+  undoStack: [],
+  redoStack: [],
+  historyLimit: 100,
+
+  // State recorded by recordHistory in the current task, until it checks
+  // whether anything changed
+  pendingHistory: null,
+
+  // Set while making changes that are not undo steps, see withoutHistory
+  historyPaused: false,
+
+  // Observers for reactive updates
+  observers: [],
+
+  // Initialize the state with data, showing the venue, day and event of
+  // the given view when the data has them
+  initialize(rawData, view) {
+    try {
+      // Show loading indicator
+      this.showLoadingIndicator();
+
+      // Transform the raw data into the hierarchical structure
+      this.seatData = DataService.transformSalesforceData(rawData);
+      DataService.invalidateCaches();
+      this.rawData = rawData;
+      this.recordsById = null;
+
+      // Look for double bookings and seats that can't be shown
+      this.dataIssues = DataService.findDataIssues(
+        this.seatData,
+        DataService.unmappedRecords
+      );
+      if (this.dataIssues.length > 0) {
+        Logger.warn(
+          `Found ${this.dataIssues.length} data issues`,
+          this.dataIssues
+        );
+      }
+
+      // Set initial filters based on available data
+      const filterOptions = this.initializeFilters(view);
+
+      // Apply initial filters
+      this.applyFilters();
+
+      // Hide loading indicator
+      this.hideLoadingIndicator();
+
+      return filterOptions;
+    } catch (error) {
+      Logger.error("Error initializing application:", error);
+      this.hideLoadingIndicator();
+      this.showErrorMessage(
+        "Failed to initialize the seating chart. Please refresh the page."
+      );
+      return { venues: [], days: [], events: [] };
+    }
+  },
+
+  // Replace the seat data, e.g. with an import. State that points at the
+  // old seats is cleared, and initialize drops the cached views.
+  reload(rawData) {
+    this.seatSuggestions = null;
+    this.cart = [];
+    this.clearHistory();
+
+    const filterOptions = this.initialize(rawData);
+
+    // Re-run an active search against the new data
+    if (this.searchQuery) {
+      this.searchResult = DataService.search(
+        this.seatData,
+        this.searchQuery,
+        this.selectedVenue
+      );
+      this.notifyObservers();
+    }
+
+    return filterOptions;
+  },
+
+  // Show loading indicator
+  showLoadingIndicator(message) {
+    let loadingEl = document.querySelector(".loading-indicator");
+    if (!loadingEl) {
+      loadingEl = document.createElement("div");
+      loadingEl.className = "loading-indicator";
+      loadingEl.setAttribute("role", "status");
+      document.body.appendChild(loadingEl);
+    }
+    loadingEl.textContent = message || "Loading seat data...";
+    loadingEl.style.display = "block";
+  },
+
+  // Hide loading indicator
+  hideLoadingIndicator() {
+    const loadingEl = document.querySelector(".loading-indicator");
+    if (loadingEl) {
+      loadingEl.style.display = "none";
+    }
+  },
+
+  // Show error message, with a retry button if onRetry is given
+  showErrorMessage(message, onRetry) {
+    const errorEl = document.createElement("div");
+    errorEl.className = "error-message";
+    errorEl.setAttribute("role", "alert");
+    errorEl.textContent = message;
+
+    if (onRetry) {
+      const retryButton = document.createElement("button");
+      retryButton.type = "button";
+      retryButton.className = "toolbar-button";
+      retryButton.textContent = "Retry";
+      retryButton.addEventListener("click", () => {
+        errorEl.remove();
+        onRetry();
+      });
+      errorEl.appendChild(retryButton);
+    }
+
+    // Find a good place to show the error
+    const container =
+      document.querySelector(".seating-container") || document.body;
+    container.prepend(errorEl);
+  },
+
+  // Initialize filters with first available options
+  initializeFilters(view = {}) {
+    // Get unique days from the data
+    const days = new Set();
+    this.seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        days.add(seat.day);
+      });
+    });
+
+    // Sort days by day number
+    const sortedDays = [...days].sort((a, b) => {
+      const dayNumA = parseInt(a.split(" ")[1]);
+      const dayNumB = parseInt(b.split(" ")[1]);
+      return dayNumA - dayNumB;
+    });
+
+    // Get unique event types
+    const events = new Set();
+    this.seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        events.add(seat.event);
+      });
+    });
+
+    // Sort event types alphabetically
+    const sortedEvents = [...events].sort();
+
+    // Set default values
+    this.defaultView = {
+      venueId: VenueLayout.getDefaultVenueId(),
+      day: sortedDays.length > 0 ? sortedDays[0] : "",
+      // Set "Rodeo" as the default event type if available, otherwise use the first event type
+      event: sortedEvents.includes("Rodeo")
+        ? "Rodeo"
+        : sortedEvents.length > 0
+        ? sortedEvents[0]
+        : "",
+    };
+
+    // Start on the requested view where it exists
+    const venueIds = VenueLayout.getVenues().map((venue) => venue.id);
+    this.selectedVenue = venueIds.includes(view.venueId)
+      ? view.venueId
+      : this.defaultView.venueId;
+    VenueLayout.use(this.selectedVenue);
+    this.selectedDay = sortedDays.includes(view.day)
+      ? view.day
+      : this.defaultView.day;
+    this.selectedEvent = sortedEvents.includes(view.event)
+      ? view.event
+      : this.defaultView.event;
+
+    // Return the options for UI creation
+    return {
+      venues: VenueLayout.getVenues(),
+      days: sortedDays,
+      events: sortedEvents,
+    };
+  },
+
+  // Filter and process the seats for the selected venue, day and event
+  updateView() {
+    Logger.log("Applying filters:", {
+      venue: this.selectedVenue,
+      day: this.selectedDay,
+      event: this.selectedEvent,
+    });
+
+    this.filteredSeatData = this.filterSeatData(
+      this.selectedDay,
+      this.selectedEvent
+    );
+
+    Logger.log("Filtered data:", this.filteredSeatData);
+
+    // Process connected seats with caching
+    this.processedData = DataService.getCachedProcessedData(
+      this.selectedVenue,
+      this.selectedDay,
+      this.selectedEvent,
+      this.filteredSeatData
+    );
+
+    Logger.log("Processed data:", this.processedData);
+
+    this.occupiedSeats = DataService.getOccupiedSeatIds(this.processedData);
+    this.multiRowBookings = DataService.findMultiRowBookings(
+      this.processedData
+    );
+  },
+
+  // Apply filters to the data (similar to applyFilters in LWC)
+  applyFilters() {
+    this.updateView();
+
+    // Clear selected seat when filters change
+    this.selectedSeat = null;
+
+    // Notify observers of state change
+    this.notifyObservers();
+  },
+
+  // Rows for the selected venue only
+  getVenueSeatData() {
+    return this.seatData.filter((row) => row.venueId === this.selectedVenue);
+  },
+
+  // Filter the selected venue's rows to a day and event
+  filterSeatData(day, event) {
+    // Use the LWC-style filtering approach
+    return this.getVenueSeatData()
+      .map((row) => {
+        // Filter seats based on day and event
+        const filteredSeats = row.seats.filter((seat) => {
+          const dayMatch = !day || seat.day === day;
+          const eventMatch = !event || seat.event === event;
+          return dayMatch && eventMatch;
+        });
+
+        // Return a new row object with filtered seats
+        return {
+          ...row,
+          seats: filteredSeats,
+        };
+      })
+      .filter((row) => row.seats.length > 0); // Remove empty rows
+  },
+
+  // Processed data for any day and event in the selected venue
+  getProcessedData(day, event) {
+    return DataService.getCachedProcessedData(
+      this.selectedVenue,
+      day,
+      event,
+      this.filterSeatData(day, event)
+    );
+  },
+
+  // Set several filters at once, e.g. when jumping to a search result
+  setFilters(filters) {
+    this.recordHistory();
+    if (filters.venueId && filters.venueId !== this.selectedVenue) {
+      this.selectedVenue = filters.venueId;
+      VenueLayout.use(filters.venueId);
+    }
+    if (filters.day) this.selectedDay = filters.day;
+    if (filters.event) this.selectedEvent = filters.event;
+    this.applyFilters();
+  },
+
+  // Set venue filter with debouncing
+  setVenue: debounce(function (venueId) {
+    this.recordHistory();
+    this.selectedVenue = venueId;
+    VenueLayout.use(venueId);
+    this.applyFilters();
+  }, 100),
+
+  // Set day filter with debouncing
+  setDay: debounce(function (day) {
+    this.recordHistory();
+    this.selectedDay = day;
+    this.applyFilters();
+  }, 100),
+
+  // Set event filter with debouncing
+  setEvent: debounce(function (event) {
+    this.recordHistory();
+    this.selectedEvent = event;
+    this.applyFilters();
+  }, 100),
+
+  // Set selected seat
+  selectSeat(seat) {
+    this.recordHistory();
+    this.selectedSeat = seat;
+    this.notifyObservers();
+  },
+
+  // Check if a seat in the current view can be added to a booking
+  isSeatAvailable(rowLabel, seatNumber) {
+    return (
+      VenueLayout.hasSeat(rowLabel, seatNumber) &&
+      !this.occupiedSeats.has(`${rowLabel}${seatNumber}`) &&
+      !this.getRemoteSelector(rowLabel, seatNumber)
+    );
+  },
+
+  // Check if a seat of any view has been booked, held or blocked
+  isSeatTaken(entry) {
+    const row = this.seatData.find(
+      (r) => r.venueId === entry.venueId && r.rowLabel === entry.rowLabel
+    );
+    return (
+      !!row &&
+      row.seats.some(
+        (seat) =>
+          seat.seatNumber === entry.seatNumber &&
+          seat.day === entry.day &&
+          seat.event === entry.event &&
+          seat.status !== "available"
+      )
+    );
+  },
+
+  // Search for the best available blocks and show them on the map
+  findSeats(options) {
+    this.setFilters({ day: options.day, event: options.event });
+
+    // Seats another rep is selecting show as taken, so they aren't offered
+    const takenSeats = new Set(this.occupiedSeats);
+    this.remoteSelections.forEach((selection) => {
+      selection.seats.forEach((entry) => {
+        if (
+          entry.venueId === this.selectedVenue &&
+          entry.day === this.selectedDay &&
+          entry.event === this.selectedEvent
+        ) {
+          takenSeats.add(`${entry.rowLabel}${entry.seatNumber}`);
+        }
+      });
+    });
+
+    this.seatSuggestions = {
+      venueId: this.selectedVenue,
+      day: this.selectedDay,
+      event: this.selectedEvent,
+      blocks: DataService.findBestAvailable(takenSeats, options),
+    };
+    this.notifyObservers();
+
+    return this.seatSuggestions.blocks;
+  },
+
+  // Add a suggested block to the booking cart
+  selectSuggestion(block) {
+    const suggestions = this.seatSuggestions;
+    this.setFilters({
+      venueId: suggestions.venueId,
+      day: suggestions.day,
+      event: suggestions.event,
+    });
+    this.bookingMode = true;
+    this.addToCart(block.rowLabel, block.seatNumbers);
+  },
+
+  // Venue, day and event combinations with search matches, starting with
+  // the selected venue
+  getSearchViews() {
+    if (!this.searchResult) return [];
+
+    const views = new Map();
+    this.searchResult.matches.forEach((entry) => {
+      const key = `${entry.venueId}|${entry.day}|${entry.event}`;
+      if (!views.has(key)) {
+        views.set(key, {
+          venueId: entry.venueId,
+          day: entry.day,
+          event: entry.event,
+        });
+      }
+    });
+
+    return Array.from(views.values()).sort(
+      (a, b) =>
+        (b.venueId === this.selectedVenue) -
+          (a.venueId === this.selectedVenue) ||
+        a.venueId.localeCompare(b.venueId) ||
+        DataService.compareDays(a.day, b.day) ||
+        a.event.localeCompare(b.event)
+    );
+  },
+
+  // Search matches in the current view
+  getSearchMatchesForView() {
+    if (!this.searchResult) return [];
+
+    return this.searchResult.matches.filter(
+      (entry) =>
+        entry.venueId === this.selectedVenue &&
+        entry.day === this.selectedDay &&
+        entry.event === this.selectedEvent
+    );
+  },
+
+  // Search for an account, opportunity or seat. Searching again for the
+  // same thing moves on to the next day or event with matches.
+  search(query) {
+    const trimmed = query.trim();
+
+    if (!trimmed) {
+      this.searchQuery = "";
+      this.searchResult = null;
+      this.notifyObservers();
+      return;
+    }
+
+    const isRepeat = trimmed === this.searchQuery;
+    this.searchQuery = trimmed;
+    this.searchResult = DataService.search(
+      this.seatData,
+      trimmed,
+      this.selectedVenue
+    );
+
+    const views = this.getSearchViews();
+    const currentIndex = views.findIndex(
+      (view) =>
+        view.venueId === this.selectedVenue &&
+        view.day === this.selectedDay &&
+        view.event === this.selectedEvent
+    );
+
+    // Seat searches always stay on the current view
+    if (this.searchResult.type === "seat" || views.length === 0) {
+      this.searchViewIndex = 0;
+      this.notifyObservers();
+      return;
+    }
+
+    if (currentIndex === -1) {
+      this.searchViewIndex = 0;
+    } else if (isRepeat) {
+      this.searchViewIndex = (currentIndex + 1) % views.length;
+    } else {
+      this.searchViewIndex = currentIndex;
+    }
+
+    // Switch the filters to the view with the match
+    this.setFilters(views[this.searchViewIndex]);
+  },
+
+  // Data issues for seats in the current view
+  getDataIssuesForView() {
+    return this.dataIssues.filter(
+      ({ seat }) =>
+        seat.venue === this.selectedVenue &&
+        seat.day === this.selectedDay &&
+        seat.event === this.selectedEvent
+    );
+  },
+
+  // Apply record changes made by another rep, e.g. from LiveUpdates.
+  // Inserts carry the whole record; updates may carry only the ID and the
+  // changed fields. The view stays as it is, seats that are no longer free
+  // leave the cart and the suggestions, and the changes are not part of
+  // the undo history. Returns the seats that changed, the cart entries
+  // that were dropped and the booking to select again when the selected
+  // one changed.
+  applyChanges(changes, user = "") {
+    if (!this.recordsById) {
+      this.recordsById = new Map();
+      this.rawData.forEach((record) => {
+        const id = DataService.mapRecord(record).id;
+        if (id) this.recordsById.set(id, record);
+      });
+    }
+
+    const recordChanges = [];
+    changes.forEach((change) => {
+      const id = change.record && DataService.mapRecord(change.record).id;
+      if (!id) {
+        Logger.warn("Ignoring a change without a record ID:", change);
+        return;
+      }
+      if (change.type === "delete") {
+        this.recordsById.delete(id);
+        recordChanges.push({ type: "delete", id: id });
+        return;
+      }
+      const previous = this.recordsById.get(id);
+      const record =
+        change.type === "update" && previous
+          ? { ...previous, ...change.record }
+          : change.record;
+      this.recordsById.set(id, record);
+      recordChanges.push({ type: change.type, id: id, record: record });
+    });
+
+    const { changedSeats } = DataService.applyRecordChanges(
+      this.seatData,
+      recordChanges
+    );
+    DataService.invalidateCaches();
+    this.dataIssues = DataService.findDataIssues(
+      this.seatData,
+      DataService.unmappedRecords
+    );
+
+    // Remember the changed seats for a while so they can be highlighted
+    const time = Date.now();
+    this.recentChanges = this.recentChanges
+      .filter((entry) => time - entry.time < this.recentChangeDuration)
+      .concat(
+        changedSeats.map((seat) => ({
+          venueId: seat.venueId,
+          day: seat.day,
+          event: seat.event,
+          rowLabel: seat.rowLabel,
+          seatNumber: seat.seatNumber,
+          type: seat.type,
+          user: user,
+          time: time,
+        }))
+      );
+
+    const removedFromCart = this.cart.filter((entry) =>
+      this.isSeatTaken(entry)
+    );
+    if (removedFromCart.length > 0) {
+      this.cart = this.cart.filter((entry) => !removedFromCart.includes(entry));
+    }
+    // Nor can undo and redo bring them back
+    [...this.undoStack, ...this.redoStack].forEach((state) => {
+      state.cart = state.cart.filter((entry) => !this.isSeatTaken(entry));
+    });
+
+    const suggestions = this.seatSuggestions;
+    if (suggestions) {
+      suggestions.blocks = suggestions.blocks.filter((block) =>
+        block.seatNumbers.every(
+          (seatNumber) =>
+            !this.isSeatTaken({
+              venueId: suggestions.venueId,
+              day: suggestions.day,
+              event: suggestions.event,
+              rowLabel: block.rowLabel,
+              seatNumber: seatNumber,
+            })
+        )
+      );
+    }
+
+    this.updateView();
+
+    // The selected booking is rebuilt from the map once it has been
+    // redrawn, as its seats or status may have changed
+    let reselect = null;
+    const selectedSeat = this.selectedSeat;
+    const selectionChanged =
+      selectedSeat &&
+      changedSeats.some(
+        (seat) =>
+          seat.venueId === this.selectedVenue &&
+          seat.day === this.selectedDay &&
+          seat.event === this.selectedEvent &&
+          (selectedSeat.opportunityId
+            ? seat.opportunityId === selectedSeat.opportunityId
+            : seat.recordId === selectedSeat.sfId)
+      );
+    if (selectionChanged) {
+      const rowLabel = selectedSeat.rows
+        ? selectedSeat.rows[0].rowLabel
+        : selectedSeat.row;
+      const stillBooked =
+        selectedSeat.opportunityId &&
+        this.processedData.some(
+          (row) =>
+            row.rowLabel === rowLabel &&
+            row.seatGroups.some(
+              (group) => group.opportunityId === selectedSeat.opportunityId
+            )
+        );
+      if (stillBooked) {
+        reselect = {
+          opportunityId: selectedSeat.opportunityId,
+          row: rowLabel,
+        };
+      }
+      this.selectedSeat = null;
+    }
+
+    if (this.searchQuery) {
+      this.searchResult = DataService.search(
+        this.seatData,
+        this.searchQuery,
+        this.selectedVenue
+      );
+    }
+
+    this.notifyObservers();
+
+    return {
+      changedSeats: changedSeats,
+      removedFromCart: removedFromCart,
+      reselect: reselect,
+    };
+  },
+
+  // Changed seats of the current view that are still highlighted
+  getRecentChangesForView() {
+    const time = Date.now();
+    return this.recentChanges.filter(
+      (entry) =>
+        time - entry.time < this.recentChangeDuration &&
+        entry.venueId === this.selectedVenue &&
+        entry.day === this.selectedDay &&
+        entry.event === this.selectedEvent
+    );
+  },
+
+  // Show the live update connection status, e.g. "live" or "reconnecting",
+  // with an optional note such as what the last change was
+  setLiveStatus(status, message = "") {
+    this.liveStatus = status;
+    this.liveMessage = message;
+    this.notifyObservers();
+  },
+
+  // Seats another rep is selecting for a booking, as cart entries. An
+  // empty list clears their selection.
+  setRemoteSelection(clientId, user, seats) {
+    if (seats.length > 0) {
+      this.remoteSelections.set(clientId, { user: user, seats: seats });
+    } else if (this.remoteSelections.has(clientId)) {
+      this.remoteSelections.delete(clientId);
+    } else {
+      return;
+    }
+    this.notifyObservers();
+  },
+
+  // Name of the other rep selecting a seat of the current view, if any
+  getRemoteSelector(rowLabel, seatNumber) {
+    const key = this.getCartKey(this.createCartEntry(rowLabel, seatNumber));
+    for (const selection of this.remoteSelections.values()) {
+      if (selection.seats.some((entry) => this.getCartKey(entry) === key)) {
+        return selection.user || "Another rep";
+      }
+    }
+    return "";
+  },
+
+  // Show every booking for an account
+  selectAccount(accountName) {
+    this.selectedAccount = accountName;
+    this.notifyObservers();
+  },
+
+  // Color booked seats by another field
+  setColorMode(mode) {
+    this.colorMode = COLOR_MODES[mode] ? mode : "status";
+    this.colorFocus = "";
+    this.notifyObservers();
+  },
+
+  // Highlight the seats with a legend value, or clear the highlight when
+  // the value is already highlighted
+  setColorFocus(value) {
+    this.colorFocus = this.colorFocus === value ? "" : value;
+    this.notifyObservers();
+  },
+
+  // Turn booking mode on or off
+  setBookingMode(enabled) {
+    this.bookingMode = enabled;
+    this.notifyObservers();
+  },
+
+  // Create a cart entry for a seat in the current view
+  createCartEntry(rowLabel, seatNumber) {
+    return {
+      venueId: this.selectedVenue,
+      day: this.selectedDay,
+      event: this.selectedEvent,
+      rowLabel: rowLabel,
+      seatNumber: seatNumber,
+    };
+  },
+
+  getCartKey(entry) {
+    return `${entry.venueId}|${entry.day}|${entry.event}|${entry.rowLabel}${entry.seatNumber}`;
+  },
+
+  // Check if a seat in the current view is in the cart
+  isInCart(rowLabel, seatNumber) {
+    const key = this.getCartKey(this.createCartEntry(rowLabel, seatNumber));
+    return this.cart.some((entry) => this.getCartKey(entry) === key);
+  },
+
+  // Add seats in a row of the current view to the cart
+  addToCart(rowLabel, seatNumbers) {
+    this.recordHistory();
+    seatNumbers.forEach((seatNumber) => {
+      if (
+        this.isSeatAvailable(rowLabel, seatNumber) &&
+        !this.isInCart(rowLabel, seatNumber)
+      ) {
+        this.cart.push(this.createCartEntry(rowLabel, seatNumber));
+      }
+    });
+    this.notifyObservers();
+  },
+
+  // Remove cart entries
+  removeFromCart(entries) {
+    this.recordHistory();
+    const keys = new Set(entries.map((entry) => this.getCartKey(entry)));
+    this.cart = this.cart.filter((entry) => !keys.has(this.getCartKey(entry)));
+    this.notifyObservers();
+  },
+
+  clearCart() {
+    this.recordHistory();
+    this.cart = [];
+    this.notifyObservers();
+  },
+
+  // The parts of the state that undo and redo move between
+  getHistoryState() {
+    return {
+      venueId: this.selectedVenue,
+      day: this.selectedDay,
+      event: this.selectedEvent,
+      selectedSeat: this.selectedSeat,
+      cart: this.cart.slice(),
+    };
+  },
+
+  isSameHistoryState(a, b) {
+    return (
+      a.venueId === b.venueId &&
+      a.day === b.day &&
+      a.event === b.event &&
+      // Selections are rebuilt on every click, so compare their contents
+      JSON.stringify(a.selectedSeat) === JSON.stringify(b.selectedSeat) &&
+      a.cart.length === b.cart.length &&
+      a.cart.every((entry, index) => entry === b.cart[index])
+    );
+  },
+
+  // Remember the state before a change so it can be undone. Changes made
+  // in the same task, e.g. a search switching the day and selecting a
+  // seat, are undone together. Changes that leave the state as it was
+  // are dropped.
+  recordHistory() {
+    if (this.pendingHistory || this.historyPaused) return;
+
+    const previous = this.getHistoryState();
+    this.pendingHistory = previous;
+    this.undoStack.push(previous);
+    if (this.undoStack.length > this.historyLimit) {
+      this.undoStack.shift();
+    }
+    const redoStack = this.redoStack;
+    this.redoStack = [];
+
+    Promise.resolve().then(() => {
+      this.pendingHistory = null;
+      const index = this.undoStack.indexOf(previous);
+      if (
+        index !== -1 &&
+        this.isSameHistoryState(previous, this.getHistoryState())
+      ) {
+        this.undoStack.splice(index, 1);
+        this.redoStack = redoStack;
+        this.notifyObservers();
+      }
+    });
+  },
+
+  // Make changes that can't be undone, e.g. showing the view the browser's
+  // back button went to
+  withoutHistory(callback) {
+    this.historyPaused = true;
+    try {
+      callback();
+    } finally {
+      this.historyPaused = false;
+    }
+  },
+
+  // Go back to the state before the last change
+  undo() {
+    if (this.undoStack.length === 0) return;
+    this.redoStack.push(this.getHistoryState());
+    this.restoreHistoryState(this.undoStack.pop());
+  },
+
+  // Go forward to the state before the last undo
+  redo() {
+    if (this.redoStack.length === 0) return;
+    this.undoStack.push(this.getHistoryState());
+    this.restoreHistoryState(this.redoStack.pop());
+  },
+
+  restoreHistoryState(state) {
+    const viewChanged =
+      state.venueId !== this.selectedVenue ||
+      state.day !== this.selectedDay ||
+      state.event !== this.selectedEvent;
+
+    if (state.venueId !== this.selectedVenue) {
+      VenueLayout.use(state.venueId);
+    }
+    this.selectedVenue = state.venueId;
+    this.selectedDay = state.day;
+    this.selectedEvent = state.event;
+    if (viewChanged) {
+      this.updateView();
+    }
+    this.selectedSeat = state.selectedSeat;
+    this.cart = state.cart.slice();
+    this.notifyObservers();
+  },
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+  },
+
+  // Add observer for reactive updates
+  addObserver(callback) {
+    this.observers.push(callback);
+  },
+
+  // Notify all observers of state change
+  notifyObservers() {
+    this.observers.forEach((callback) => callback(this));
+  },
+
+  // Get all unique days
+  getDays() {
+    const days = new Set();
+    this.seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        days.add(seat.day);
+      });
+    });
+
+    return [...days].sort((a, b) => {
+      const dayNumA = parseInt(a.split(" ")[1]);
+      const dayNumB = parseInt(b.split(" ")[1]);
+      return dayNumA - dayNumB;
+    });
+  },
+
+  // Get all unique event types
+  getEvents() {
+    const events = new Set();
+    this.seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        events.add(seat.event);
+      });
+    });
+
+    return [...events].sort();
+  },
+};
@@ -0,0 +1,86 @@
+// constants.js - Seat statuses, data issue types, color modes, live update
+// statuses and the Salesforce field mapping
+
+// Seat statuses in legend order. Records without a status are treated as sold.
+export const SEAT_STATUSES = {
+  available: { label: "Available" },
+  held: { label: "Held / Reserved" },
+  comp: { label: "Comp" },
+  blocked: { label: "Blocked / Killed" },
+  sold: { label: "Sold" },
+};
+
+// Other picklist values that map onto the statuses above
+export const SEAT_STATUS_ALIASES = {
+  hold: "held",
+  reserved: "held",
+  complimentary: "comp",
+  killed: "blocked",
+  booked: "sold",
+};
+
+// Kinds of problems found in seat data, in the order they are listed
+export const DATA_ISSUE_TYPES = {
+  duplicate: { label: "Double bookings" },
+  pillar: { label: "Seats on pillars" },
+  "no-seat": { label: "Seats missing from the layout" },
+  "unknown-row": { label: "Unknown rows" },
+  "unknown-venue": { label: "Unknown venues" },
+  missing: { label: "Incomplete records" },
+  unmapped: { label: "Records that could not be read" },
+};
+
+// Ways to color booked seats. Every mode except status colors a booking by
+// the seat field named here, using the attribute set on its seat element.
+export const COLOR_MODES = {
+  status: { label: "Status" },
+  account: {
+    label: "Account",
+    field: "accountName",
+    attribute: "data-account",
+  },
+  opportunity: {
+    label: "Opportunity",
+    field: "opportunityId",
+    attribute: "data-opportunity-id",
+  },
+  event: { label: "Event type", field: "event", attribute: "data-event-type" },
+  owner: { label: "Sales rep", field: "owner", attribute: "data-owner" },
+  category: {
+    label: "Sponsor tier",
+    field: "category",
+    attribute: "data-category",
+  },
+};
+
+// States of the live update connection, see LiveUpdates
+export const LIVE_STATUSES = {
+  connecting: { label: "Connecting..." },
+  live: { label: "Live" },
+  reconnecting: { label: "Reconnecting..." },
+  stale: { label: "Out of date" },
+};
+
+// Where each seat field is read from in a Salesforce record, in order of
+// preference. Each path is looked up as a nested field (SOQL JSON, e.g.
+// record.Opportunity.Account.Name), as a flattened key ("Opportunity.Id")
+// and as an underscored key ("Opportunity_Account_Name"), each with and
+// without a custom field "__c" suffix. Override any field with
+// SEAT_MAP_CONFIG.fieldMapping.
+export const SEAT_FIELD_MAPPING = {
+  id: ["Id"],
+  row: ["PricebookEntry.Product2.Row"],
+  seatNumber: ["PricebookEntry.Product2.Seat_Number"],
+  day: ["PricebookEntry.Product2.Day_of_Stampede"],
+  event: ["PricebookEntry.Product2.Event_Type"],
+  venue: ["PricebookEntry.Product2.Venue"],
+  accountName: ["Opportunity.Account.Name"],
+  opportunityId: ["Opportunity.Id", "OpportunityId"],
+  status: ["Seat_Status"],
+  holdExpiry: ["Hold_Expires"],
+  owner: ["Opportunity.Owner.Name"],
+  category: ["Opportunity.Sponsor_Tier"],
+};
+
+// Fields a record needs to be placed on the map
+export const REQUIRED_SEAT_FIELDS = ["row", "seatNumber", "day", "event"];
@@ -0,0 +1,1422 @@
+// data-service.js - Data transformation module
+//
+// This mimics the formatSeatData method in the LWC component
+
+import { VenueLayout } from "./venue-layout.js";
+import {
+  SEAT_STATUSES,
+  SEAT_STATUS_ALIASES,
+  SEAT_FIELD_MAPPING,
+  REQUIRED_SEAT_FIELDS,
+} from "./constants.js";
+import { Logger } from "./utils.js";
+
+export const DataService = {
+  // Cache for processed data, keyed by data version, venue, day and
+  // event. Least recently used views are dropped past the limit.
+  dataCache: new Map(),
+  dataCacheLimit: 50,
+
+  // Bumped by invalidateCaches whenever seatData changes, so views
+  // processed from older data are never used again
+  dataVersion: 0,
+
+  // Field paths used to read records, see SEAT_FIELD_MAPPING
+  fieldMapping: SEAT_FIELD_MAPPING,
+
+  // Records left out by the last transform and the record changes applied
+  // since, with the fields they lack. Only records from the transform have
+  // an index.
+  unmappedRecords: [],
+
+  // Override where fields are read from. Each value is a path or a list
+  // of paths, e.g. { row: "Product2.Seat_Row__c" }.
+  setFieldMapping(overrides) {
+    this.fieldMapping = { ...SEAT_FIELD_MAPPING };
+    Object.entries(overrides || {}).forEach(([field, paths]) => {
+      if (!SEAT_FIELD_MAPPING[field]) {
+        Logger.warn("Ignoring mapping for unknown seat field:", field);
+        return;
+      }
+      this.fieldMapping[field] = Array.isArray(paths) ? paths : [paths];
+    });
+  },
+
+  // Read a value from a record by path, trying the nested, flattened and
+  // underscored forms of the path with and without a "__c" suffix
+  getFieldValue(record, path) {
+    const parts = path.split(".");
+    const last = parts.length - 1;
+    const variants = [parts];
+    if (!/__c$/.test(parts[last])) {
+      variants.push([...parts.slice(0, last), `${parts[last]}__c`]);
+    }
+
+    for (const variant of variants) {
+      const candidates = [
+        variant.join("."),
+        variant.join("_"),
+        ...(variant.length > 1 ? [variant] : []),
+      ];
+
+      for (const candidate of candidates) {
+        const value = Array.isArray(candidate)
+          ? candidate.reduce(
+              (obj, key) => (obj == null ? undefined : obj[key]),
+              record
+            )
+          : record[candidate];
+        if (value !== undefined && value !== null && value !== "") {
+          return value;
+        }
+      }
+    }
+
+    return undefined;
+  },
+
+  // Read every seat field from a record using the field mapping. Required
+  // fields that are absent or unusable are listed in missing.
+  mapRecord(record) {
+    const seat = { missing: [] };
+    if (!record || typeof record !== "object") {
+      seat.missing = [...REQUIRED_SEAT_FIELDS];
+      return seat;
+    }
+
+    Object.entries(this.fieldMapping).forEach(([field, paths]) => {
+      for (const path of paths) {
+        const value = this.getFieldValue(record, path);
+        if (value !== undefined) {
+          seat[field] = value;
+          return;
+        }
+      }
+    });
+
+    // Seat numbers come through as "64.0" from reports and 64 from SOQL
+    if (seat.seatNumber !== undefined) {
+      seat.seatNumber = parseInt(parseFloat(seat.seatNumber));
+      if (isNaN(seat.seatNumber)) delete seat.seatNumber;
+    }
+    if (seat.row !== undefined) seat.row = String(seat.row).trim();
+
+    seat.missing = REQUIRED_SEAT_FIELDS.filter(
+      (field) => seat[field] === undefined || seat[field] === ""
+    );
+    return seat;
+  },
+
+  // Transform flat Salesforce data into hierarchical structure
+  // similar to the LWC implementation
+  transformSalesforceData(rawData) {
+    if (!Array.isArray(rawData)) {
+      Logger.error("Invalid data format: Expected an array");
+      return [];
+    }
+
+    try {
+      // Use Map for better performance
+      const rowMap = new Map();
+
+      const unmapped = [];
+
+      rawData.forEach((record, index) => {
+        const seat = this.mapRecord(record);
+        if (seat.missing.length > 0) {
+          unmapped.push({
+            index: index,
+            recordId: seat.id || "",
+            missing: seat.missing,
+            record: record,
+          });
+          return;
+        }
+
+        const newSeat = this.createSeat(seat);
+
+        // Rows are kept separate per venue
+        const rowKey = `${newSeat.venueId}|${seat.row}`;
+
+        if (!rowMap.has(rowKey)) {
+          rowMap.set(rowKey, {
+            venueId: newSeat.venueId,
+            rowLabel: seat.row,
+            accountName: newSeat.accountName,
+            seats: [],
+          });
+        }
+
+        rowMap.get(rowKey).seats.push(newSeat);
+      });
+
+      this.unmappedRecords = unmapped;
+      if (unmapped.length > 0) {
+        Logger.warn(
+          `${unmapped.length} of ${rawData.length} records could not be mapped`,
+          unmapped.map(
+            (entry) =>
+              `${entry.recordId || `record ${entry.index + 1}`}: ` +
+              `missing ${entry.missing.join(", ")}`
+          )
+        );
+      }
+
+      return Array.from(rowMap.values());
+    } catch (error) {
+      Logger.error("Error processing seat data:", error);
+      return [];
+    }
+  },
+
+  // Seat of a row in seatData for a record read by mapRecord
+  createSeat(seat) {
+    return {
+      seatNumber: seat.seatNumber,
+      day: seat.day,
+      event: seat.event,
+      recordId: seat.id,
+      opportunityId: seat.opportunityId || "",
+      accountName: seat.accountName,
+      venueId: seat.venue || VenueLayout.getDefaultVenueId(),
+      status: this.normalizeStatus(seat.status),
+      holdExpiry: seat.holdExpiry || "",
+      owner: seat.owner || "",
+      category: seat.category || "",
+    };
+  },
+
+  // Apply record inserts, updates and deletes to seatData in place. Each
+  // change is { type: "insert" | "update" | "delete", id, record } with the
+  // full record for inserts and updates. An insert of a record that is
+  // already there replaces it, and deletes of unknown records are ignored,
+  // so a change can safely be applied twice. Returns the seats that were
+  // added, changed or removed, and the records that could not be read,
+  // which also replace any earlier entries for the changed records in
+  // unmappedRecords. Call invalidateCaches afterwards.
+  applyRecordChanges(seatData, changes) {
+    const changedSeats = [];
+    const unmapped = [];
+
+    const seatsById = new Map();
+    seatData.forEach((row) => {
+      row.seats.forEach((seat) => seatsById.set(seat.recordId, { row, seat }));
+    });
+
+    changes.forEach((change) => {
+      const existing = seatsById.get(change.id);
+      if (existing) {
+        const { row, seat } = existing;
+        row.seats.splice(row.seats.indexOf(seat), 1);
+        seatsById.delete(change.id);
+        changedSeats.push({
+          ...seat,
+          rowLabel: row.rowLabel,
+          type: change.type,
+        });
+      }
+      if (change.type === "delete") return;
+
+      const seat = this.mapRecord(change.record);
+      if (seat.missing.length > 0) {
+        unmapped.push({
+          recordId: change.id || "",
+          missing: seat.missing,
+          record: change.record,
+        });
+        return;
+      }
+
+      const newSeat = this.createSeat(seat);
+      let row = seatData.find(
+        (entry) =>
+          entry.venueId === newSeat.venueId && entry.rowLabel === seat.row
+      );
+      if (!row) {
+        row = {
+          venueId: newSeat.venueId,
+          rowLabel: seat.row,
+          accountName: newSeat.accountName,
+          seats: [],
+        };
+        seatData.push(row);
+      }
+      row.seats.push(newSeat);
+      seatsById.set(change.id, { row, seat: newSeat });
+      changedSeats.push({
+        ...newSeat,
+        rowLabel: row.rowLabel,
+        type: change.type,
+      });
+    });
+
+    // Drop rows whose last seat was removed
+    for (let i = seatData.length - 1; i >= 0; i--) {
+      if (seatData[i].seats.length === 0) seatData.splice(i, 1);
+    }
+
+    if (unmapped.length > 0) {
+      Logger.warn(
+        `${unmapped.length} changed records could not be mapped`,
+        unmapped.map(
+          (entry) => `${entry.recordId}: missing ${entry.missing.join(", ")}`
+        )
+      );
+    }
+
+    const changedIds = new Set(changes.map((change) => change.id));
+    this.unmappedRecords = this.unmappedRecords
+      .filter((entry) => !changedIds.has(entry.recordId))
+      .concat(unmapped);
+
+    return { changedSeats: changedSeats, unmapped: unmapped };
+  },
+
+  // Map a status picklist value onto one of the SEAT_STATUSES keys
+  normalizeStatus(value) {
+    if (!value) return "sold";
+
+    const status = String(value).trim().toLowerCase();
+    if (SEAT_STATUSES[status]) return status;
+    if (SEAT_STATUS_ALIASES[status]) return SEAT_STATUS_ALIASES[status];
+
+    Logger.log("Unknown seat status, treating as sold:", value);
+    return "sold";
+  },
+
+  // Find contiguous segments in an array of seat numbers in a row,
+  // accounting for pillars from the venue layout
+  findContiguousSegments(numbers, rowLabel) {
+    if (numbers.length === 0) return [];
+
+    // Sort the numbers
+    numbers.sort((a, b) => a - b);
+
+    // Helper function to check if a gap is due to a pillar
+    const isPillarGap = (prev, current) =>
+      VenueLayout.isPillarGap(rowLabel, prev, current);
+
+    const segments = [];
+    let currentSegment = [numbers[0]];
+
+    for (let i = 1; i < numbers.length; i++) {
+      if (
+        numbers[i] === numbers[i - 1] + 1 ||
+        isPillarGap(numbers[i - 1], numbers[i])
+      ) {
+        // Continue the current segment if consecutive or spans a known pillar
+        currentSegment.push(numbers[i]);
+      } else {
+        // End the current segment and start a new one
+        segments.push([...currentSegment]);
+        currentSegment = [numbers[i]];
+      }
+    }
+
+    // Add the last segment
+    segments.push(currentSegment);
+
+    return segments;
+  },
+
+  // Get actual seats excluding pillars and numbers missing from the layout
+  getActualSeats(row, startSeat, endSeat) {
+    const seats = [];
+    for (let i = parseInt(startSeat); i <= parseInt(endSeat); i++) {
+      if (VenueLayout.hasSeat(row, i)) {
+        seats.push(i);
+      }
+    }
+    return seats;
+  },
+
+  // Format seat ranges for display (e.g., "38-39, 42-43" instead of "38-43")
+  formatSeatRanges(seats) {
+    if (seats.length === 0) return "";
+
+    // Sort seats
+    seats.sort((a, b) => a - b);
+
+    const ranges = [];
+    let rangeStart = seats[0];
+    let rangeEnd = seats[0];
+
+    for (let i = 1; i < seats.length; i++) {
+      if (seats[i] === rangeEnd + 1) {
+        // Continue current range
+        rangeEnd = seats[i];
+      } else {
+        // End current range and start a new one
+        ranges.push(
+          rangeStart === rangeEnd
+            ? `${rangeStart}`
+            : `${rangeStart}-${rangeEnd}`
+        );
+        rangeStart = seats[i];
+        rangeEnd = seats[i];
+      }
+    }
+
+    // Add the last range
+    ranges.push(
+      rangeStart === rangeEnd ? `${rangeStart}` : `${rangeStart}-${rangeEnd}`
+    );
+
+    return ranges.join(", ");
+  },
+
+  // Get cached processed data or process it if not cached
+  getCachedProcessedData(venueId, day, event, data) {
+    const cacheKey = `${this.dataVersion}|${venueId}|${day}|${event}`;
+
+    if (this.dataCache.has(cacheKey)) {
+      Logger.log("Using cached data for", cacheKey);
+      // Move it to the end as the most recently used
+      const cached = this.dataCache.get(cacheKey);
+      this.dataCache.delete(cacheKey);
+      this.dataCache.set(cacheKey, cached);
+      return cached;
+    }
+
+    Logger.log("Processing data for", cacheKey);
+    const processedData = this.processConnectedSeats(data);
+    this.dataCache.set(cacheKey, processedData);
+
+    // Maps iterate in insertion order, so the first key is the least
+    // recently used
+    while (this.dataCache.size > this.dataCacheLimit) {
+      this.dataCache.delete(this.dataCache.keys().next().value);
+    }
+
+    return processedData;
+  },
+
+  // Drop every view derived from seatData: processed views, the search
+  // index and the split booking report. Call after any change to seatData.
+  invalidateCaches() {
+    this.dataVersion++;
+    this.dataCache.clear();
+    this.searchIndex = null;
+    this.searchIndexSource = null;
+    this.fragmentReport = null;
+    this.fragmentReportSource = null;
+    Logger.log("Invalidated cached views, data version", this.dataVersion);
+  },
+
+  // Process data to identify connected seats
+  // This moves the connected seats logic from UI to data layer
+  processConnectedSeats(data) {
+    const processedData = [];
+
+    data.forEach((row) => {
+      // Group seats by opportunity ID to find connected seats
+      const seatsByOpportunity = {};
+
+      row.seats.forEach((seat) => {
+        // Seats explicitly marked available don't occupy the seat
+        if (seat.status === "available") return;
+
+        // Seats of one opportunity are only connected if they share a status
+        const opportunityKey = seat.opportunityId || `single-${seat.recordId}`;
+        const key = `${opportunityKey}|${seat.status}`;
+        if (!seatsByOpportunity[key]) {
+          seatsByOpportunity[key] = [];
+        }
+        seatsByOpportunity[key].push(seat);
+      });
+
+      // Process each opportunity group
+      const processedRow = {
+        rowLabel: row.rowLabel,
+        seatGroups: [],
+      };
+
+      Object.values(seatsByOpportunity).forEach((opportunitySeats) => {
+        // Sort seats by number
+        opportunitySeats.sort((a, b) => a.seatNumber - b.seatNumber);
+
+        // Find contiguous segments
+        const seatNumbers = opportunitySeats.map((s) => s.seatNumber);
+        const segments = this.findContiguousSegments(seatNumbers, row.rowLabel);
+
+        // Create seat groups for each segment
+        segments.forEach((segment) => {
+          const segmentSeats = opportunitySeats.filter((s) =>
+            segment.includes(s.seatNumber)
+          );
+
+          const isConnected = segment.length > 1;
+          const firstSeat = segmentSeats[0];
+
+          // Show the earliest hold expiry for the segment
+          const holdExpiry = segmentSeats
+            .map((s) => s.holdExpiry)
+            .filter(Boolean)
+            .sort()[0];
+
+          processedRow.seatGroups.push({
+            isConnected: isConnected,
+            startSeat: segment[0],
+            endSeat: segment[segment.length - 1],
+            seatCount: segment.length,
+            seats: segmentSeats,
+            accountName: firstSeat.accountName,
+            day: firstSeat.day,
+            event: firstSeat.event,
+            opportunityId: firstSeat.opportunityId,
+            status: firstSeat.status,
+            holdExpiry: holdExpiry || "",
+            owner: firstSeat.owner,
+            category: firstSeat.category,
+            recordIds: segmentSeats.map((s) => s.recordId),
+          });
+        });
+      });
+
+      processedData.push(processedRow);
+    });
+
+    return processedData;
+  },
+
+  // Collect the IDs of seats taken by a booking, hold, comp or block
+  getOccupiedSeatIds(processedData) {
+    const occupied = new Set();
+
+    processedData.forEach((row) => {
+      row.seatGroups.forEach((group) => {
+        group.seats.forEach((seat) => {
+          occupied.add(`${row.rowLabel}${seat.seatNumber}`);
+        });
+      });
+    });
+
+    return occupied;
+  },
+
+  // Opportunities with seats in more than one row of a view, with their
+  // seats per row. Seats of one opportunity are only linked if they share
+  // a status, like connected seats.
+  findMultiRowBookings(processedData) {
+    const bookings = new Map();
+
+    processedData.forEach((row) => {
+      row.seatGroups.forEach((group) => {
+        if (!group.opportunityId) return;
+
+        const key = `${group.opportunityId}|${group.status}`;
+        if (!bookings.has(key)) {
+          bookings.set(key, {
+            key: key,
+            opportunityId: group.opportunityId,
+            accountName: group.accountName,
+            day: group.day,
+            event: group.event,
+            status: group.status,
+            holdExpiry: "",
+            rows: new Map(),
+          });
+        }
+
+        const booking = bookings.get(key);
+        if (!booking.rows.has(row.rowLabel)) {
+          booking.rows.set(row.rowLabel, []);
+        }
+        booking.rows
+          .get(row.rowLabel)
+          .push(...group.seats.map((seat) => seat.seatNumber));
+        if (
+          group.holdExpiry &&
+          (!booking.holdExpiry || group.holdExpiry < booking.holdExpiry)
+        ) {
+          booking.holdExpiry = group.holdExpiry;
+        }
+      });
+    });
+
+    const venueRows = VenueLayout.getRows();
+    return Array.from(bookings.values())
+      .filter((booking) => booking.rows.size > 1)
+      .map((booking) => {
+        const rows = Array.from(booking.rows, ([rowLabel, seatNumbers]) => ({
+          rowLabel: rowLabel,
+          seatNumbers: seatNumbers.sort((a, b) => a - b),
+        })).sort(
+          (a, b) =>
+            venueRows.indexOf(a.rowLabel) - venueRows.indexOf(b.rowLabel)
+        );
+        return {
+          ...booking,
+          rows: rows,
+          seatCount: rows.reduce(
+            (total, row) => total + row.seatNumbers.length,
+            0
+          ),
+        };
+      });
+  },
+
+  // Values of a seat field among the bookings in a view, with the number
+  // of seats for each, for the color legend. Blocked seats and seats
+  // without a value keep their status color and are left out.
+  getColorGroups(processedData, field) {
+    const seatCounts = new Map();
+    processedData.forEach((row) => {
+      row.seatGroups.forEach((group) => {
+        const value = group[field];
+        if (!value || group.status === "blocked") return;
+        seatCounts.set(value, (seatCounts.get(value) || 0) + group.seatCount);
+      });
+    });
+    return Array.from(seatCounts, ([value, seatCount]) => ({
+      value: value,
+      seatCount: seatCount,
+    })).sort((a, b) => a.value.localeCompare(b.value));
+  },
+
+  // Find ranked blocks of contiguous available seats for a party.
+  // Like findContiguousSegments, a block may span a pillar, but it never
+  // crosses a stairway. Only the best block in each run of available seats
+  // is returned so the results point to different parts of the venue.
+  findBestAvailable(occupiedSeats, options) {
+    const partySize = parseInt(options.partySize);
+    const limit = options.limit || 10;
+    if (!partySize || partySize < 1) return [];
+
+    // Seats nearest the middle of the venue are preferred
+    const sections = VenueLayout.getSections();
+    if (sections.length === 0) return [];
+    const venueCenter =
+      (sections[0].start + sections[sections.length - 1].end) / 2;
+
+    const blocks = [];
+
+    VenueLayout.getRows().forEach((rowLabel) => {
+      if (options.rowLabel && options.rowLabel !== rowLabel) return;
+
+      sections.forEach((section) => {
+        if (options.sectionId && options.sectionId !== section.id) return;
+
+        // Split the row into runs of available seats. Pillars don't end a
+        // run, taken seats and gaps in the numbering do.
+        const runs = [];
+        let run = [];
+        VenueLayout.getRowItems(section, rowLabel).forEach((item) => {
+          if (item.type === "pillar") return;
+
+          if (
+            item.type === "seat" &&
+            !occupiedSeats.has(`${rowLabel}${item.seatNumber}`)
+          ) {
+            run.push(item.seatNumber);
+          } else if (run.length > 0) {
+            runs.push(run);
+            run = [];
+          }
+        });
+        if (run.length > 0) runs.push(run);
+
+        runs.forEach((seats) => {
+          let best = null;
+
+          for (let i = 0; i + partySize <= seats.length; i++) {
+            const seatNumbers = seats.slice(i, i + partySize);
+            const spansPillar =
+              seatNumbers[seatNumbers.length - 1] - seatNumbers[0] + 1 >
+              partySize;
+
+            // Avoid leaving a single seat stranded on either side
+            const leftOver = i;
+            const rightOver = seats.length - i - partySize;
+            const orphans = (leftOver === 1) + (rightOver === 1);
+
+            const center =
+              (seatNumbers[0] + seatNumbers[seatNumbers.length - 1]) / 2;
+            const score =
+              (spansPillar ? 100 : 0) +
+              orphans * 10 +
+              Math.abs(center - venueCenter);
+
+            if (!best || score < best.score) {
+              best = {
+                rowLabel: rowLabel,
+                sectionId: section.id,
+                sectionName: section.name || section.id,
+                seatNumbers: seatNumbers,
+                spansPillar: spansPillar,
+                score: score,
+              };
+            }
+          }
+
+          if (best) blocks.push(best);
+        });
+      });
+    });
+
+    return blocks.sort((a, b) => a.score - b.score).slice(0, limit);
+  },
+
+  // Count seats by status for each section and row of the current venue.
+  // Available seats are the seats in the layout that aren't taken. A seat
+  // with several records (a double booking) is counted once.
+  getOccupancyStats(processedData) {
+    const stats = new Map();
+
+    VenueLayout.getSections().forEach((section) => {
+      VenueLayout.getRows().forEach((rowLabel) => {
+        const capacity = VenueLayout.getRowItems(section, rowLabel).filter(
+          (item) => item.type === "seat"
+        ).length;
+
+        stats.set(`${section.id}|${rowLabel}`, {
+          sectionId: section.id,
+          rowLabel: rowLabel,
+          capacity: capacity,
+          sold: 0,
+          held: 0,
+          comp: 0,
+          blocked: 0,
+          available: capacity,
+        });
+      });
+    });
+
+    const counted = new Set();
+    processedData.forEach((row) => {
+      row.seatGroups.forEach((group) => {
+        group.seats.forEach((seat) => {
+          // Seats missing from the layout can't be counted against it
+          if (!VenueLayout.hasSeat(row.rowLabel, seat.seatNumber)) return;
+
+          const seatId = `${row.rowLabel}${seat.seatNumber}`;
+          if (counted.has(seatId)) return;
+          counted.add(seatId);
+
+          const section = VenueLayout.getSection(row.rowLabel, seat.seatNumber);
+          const rowStats = stats.get(`${section.id}|${row.rowLabel}`);
+          rowStats[group.status]++;
+          rowStats.available--;
+        });
+      });
+    });
+
+    return stats;
+  },
+
+  // Add up occupancy stats, e.g. all rows of a section
+  sumOccupancyStats(statsList) {
+    return statsList.reduce(
+      (total, stats) => {
+        ["capacity", "sold", "held", "comp", "blocked", "available"].forEach(
+          (key) => {
+            total[key] += stats[key];
+          }
+        );
+        return total;
+      },
+      { capacity: 0, sold: 0, held: 0, comp: 0, blocked: 0, available: 0 }
+    );
+  },
+
+  // Sort "Day N - Weekday" values by day number
+  compareDays(a, b) {
+    return parseInt(a.split(" ")[1]) - parseInt(b.split(" ")[1]);
+  },
+
+  // All account names in the data, sorted alphabetically
+  getAccountNames(seatData) {
+    const names = new Set();
+    seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        if (seat.accountName) names.add(seat.accountName);
+      });
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+  },
+
+  // Every seat an account holds across venues, days and events, grouped
+  // by opportunity and then by venue, day, event and row
+  getAccountBookings(seatData, accountName) {
+    const opportunities = new Map();
+    const views = new Map();
+
+    seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        if (seat.accountName !== accountName) return;
+        if (seat.status === "available") return;
+
+        const opportunityId = seat.opportunityId || "";
+        if (!opportunities.has(opportunityId)) {
+          opportunities.set(opportunityId, {
+            opportunityId: opportunityId,
+            lines: new Map(),
+            seatCount: 0,
+          });
+        }
+
+        const opportunity = opportunities.get(opportunityId);
+        const lineKey = `${seat.venueId}|${seat.day}|${seat.event}|${row.rowLabel}|${seat.status}`;
+        if (!opportunity.lines.has(lineKey)) {
+          opportunity.lines.set(lineKey, {
+            venueId: seat.venueId,
+            day: seat.day,
+            event: seat.event,
+            rowLabel: row.rowLabel,
+            status: seat.status,
+            seatNumbers: [],
+          });
+        }
+        opportunity.lines.get(lineKey).seatNumbers.push(seat.seatNumber);
+        opportunity.seatCount++;
+
+        // Seats per venue, day and event for the mini-maps
+        const viewKey = `${seat.venueId}|${seat.day}|${seat.event}`;
+        if (!views.has(viewKey)) {
+          views.set(viewKey, {
+            venueId: seat.venueId,
+            day: seat.day,
+            event: seat.event,
+            seatIds: [],
+          });
+        }
+        views.get(viewKey).seatIds.push(`${row.rowLabel}${seat.seatNumber}`);
+      });
+    });
+
+    const compareViews = (a, b) =>
+      a.venueId.localeCompare(b.venueId) ||
+      this.compareDays(a.day, b.day) ||
+      a.event.localeCompare(b.event);
+
+    const opportunityList = Array.from(opportunities.values())
+      .map((opportunity) => ({
+        ...opportunity,
+        lines: Array.from(opportunity.lines.values()).sort(
+          (a, b) => compareViews(a, b) || a.rowLabel.localeCompare(b.rowLabel)
+        ),
+      }))
+      .sort((a, b) => a.opportunityId.localeCompare(b.opportunityId));
+
+    const viewList = Array.from(views.values()).sort(compareViews);
+
+    return {
+      accountName: accountName,
+      opportunities: opportunityList,
+      views: viewList,
+      totals: {
+        opportunities: opportunityList.length,
+        seats: opportunityList.reduce((sum, opp) => sum + opp.seatCount, 0),
+        days: new Set(viewList.map((view) => view.day)).size,
+      },
+    };
+  },
+
+  // Split booking report built from seatData, rebuilt when seatData is
+  // replaced or changed (see invalidateCaches)
+  fragmentReport: null,
+  fragmentReportSource: null,
+
+  // Opportunities whose seats for a venue, day and event are spread over
+  // several rows or have gaps within a row. A gap is structural (a
+  // stairway, pillar or skipped seat numbers) or a hole with seats in it.
+  getFragmentedBookings(seatData) {
+    if (this.fragmentReport && this.fragmentReportSource === seatData) {
+      return this.fragmentReport;
+    }
+
+    const bookings = new Map();
+    const takenSeats = new Set();
+    seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        // Seats of unknown venues can't be shown on the map, and are listed
+        // as data issues instead
+        if (
+          seat.status === "available" ||
+          !VenueLayout.getVenue(seat.venueId)
+        ) {
+          return;
+        }
+
+        const viewKey = `${seat.venueId}|${seat.day}|${seat.event}`;
+        takenSeats.add(`${viewKey}|${row.rowLabel}${seat.seatNumber}`);
+        if (!seat.opportunityId) return;
+
+        const key = `${viewKey}|${seat.opportunityId}`;
+        if (!bookings.has(key)) {
+          bookings.set(key, {
+            venueId: seat.venueId,
+            day: seat.day,
+            event: seat.event,
+            opportunityId: seat.opportunityId,
+            accountName: seat.accountName || "",
+            rows: new Map(),
+          });
+        }
+
+        const rows = bookings.get(key).rows;
+        if (!rows.has(row.rowLabel)) rows.set(row.rowLabel, new Set());
+        rows.get(row.rowLabel).add(seat.seatNumber);
+      });
+    });
+
+    const report = [];
+    bookings.forEach((booking) => {
+      const layout = VenueLayout.forVenue(booking.venueId);
+      const venueRows = layout.getRows();
+      const viewKey = `${booking.venueId}|${booking.day}|${booking.event}`;
+
+      const rows = Array.from(booking.rows, ([rowLabel, seatNumbers]) => ({
+        rowLabel: rowLabel,
+        seatNumbers: [...seatNumbers].sort((a, b) => a - b),
+      })).sort(
+        (a, b) => venueRows.indexOf(a.rowLabel) - venueRows.indexOf(b.rowLabel)
+      );
+
+      const gaps = [];
+      rows.forEach(({ rowLabel, seatNumbers }) => {
+        for (let i = 1; i < seatNumbers.length; i++) {
+          const after = seatNumbers[i - 1];
+          const before = seatNumbers[i];
+          const sameSection =
+            layout.getSection(rowLabel, after) ===
+            layout.getSection(rowLabel, before);
+
+          // Seat numbers can run on across a stairway, e.g. in the grandstand
+          if (before - after < 2 && sameSection) continue;
+
+          const between = [];
+          for (let n = after + 1; n < before; n++) {
+            if (layout.hasSeat(rowLabel, n)) between.push(n);
+          }
+
+          let kind = "hole";
+          if (between.length === 0) {
+            if (!sameSection) {
+              kind = "stairway";
+            } else if (layout.isPillarGap(rowLabel, after, before)) {
+              kind = "pillar";
+            } else {
+              kind = "numbering";
+            }
+          }
+
+          gaps.push({
+            rowLabel: rowLabel,
+            after: after,
+            before: before,
+            kind: kind,
+            seatNumbers: between,
+            freeSeats: between.filter(
+              (n) => !takenSeats.has(`${viewKey}|${rowLabel}${n}`)
+            ).length,
+          });
+        }
+      });
+
+      if (rows.length > 1 || gaps.length > 0) {
+        report.push({
+          venueId: booking.venueId,
+          day: booking.day,
+          event: booking.event,
+          opportunityId: booking.opportunityId,
+          accountName: booking.accountName,
+          rows: rows,
+          gaps: gaps,
+          hasHoles: gaps.some((gap) => gap.kind === "hole"),
+        });
+      }
+    });
+
+    // Bookings with real holes first, as those can be fixed
+    this.fragmentReport = report.sort(
+      (a, b) =>
+        b.hasHoles - a.hasHoles ||
+        a.venueId.localeCompare(b.venueId) ||
+        this.compareDays(a.day, b.day) ||
+        a.event.localeCompare(b.event) ||
+        a.accountName.localeCompare(b.accountName)
+    );
+    this.fragmentReportSource = seatData;
+    return this.fragmentReport;
+  },
+
+  // Search index built from seatData, rebuilt when seatData is replaced
+  // or changed (see invalidateCaches)
+  searchIndex: null,
+  searchIndexSource: null,
+
+  // One search entry per booking group: seats of an opportunity in a row
+  // for a venue, day and event
+  getSearchIndex(seatData) {
+    if (this.searchIndex && this.searchIndexSource === seatData) {
+      return this.searchIndex;
+    }
+
+    const entries = new Map();
+    seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        if (seat.status === "available") return;
+
+        const key = `${seat.venueId}|${seat.day}|${seat.event}|${
+          row.rowLabel
+        }|${seat.opportunityId || seat.recordId}`;
+        if (!entries.has(key)) {
+          entries.set(key, {
+            venueId: seat.venueId,
+            day: seat.day,
+            event: seat.event,
+            rowLabel: row.rowLabel,
+            accountName: seat.accountName || "",
+            opportunityId: seat.opportunityId,
+            seatNumbers: [],
+          });
+        }
+        entries.get(key).seatNumbers.push(seat.seatNumber);
+      });
+    });
+
+    this.searchIndex = Array.from(entries.values());
+    this.searchIndexSource = seatData;
+    return this.searchIndex;
+  },
+
+  // Score how well a name matches a search, lower is better.
+  // Returns null when the name doesn't match at all.
+  fuzzyScore(name, query) {
+    const text = name.toLowerCase();
+    const search = query.toLowerCase();
+
+    if (text === search) return 0;
+    if (text.startsWith(search)) return 1;
+    if (text.split(/\s+/).some((word) => word.startsWith(search))) return 2;
+    if (text.includes(search)) return 3;
+
+    // Letters of the search appear in order, e.g. "cpr" for "CP Rail"
+    let position = 0;
+    for (const char of search.replace(/\s+/g, "")) {
+      position = text.indexOf(char, position);
+      if (position === -1) return null;
+      position++;
+    }
+    return 4;
+  },
+
+  // Find bookings by seat ID (e.g. "D47"), opportunity ID or account name
+  search(seatData, query, venueId) {
+    const index = this.getSearchIndex(seatData);
+    const trimmed = query.trim();
+
+    // Seat IDs are looked up in the given venue. Row labels can be longer
+    // than one letter, e.g. "AA12" or "BOX1-3", but then have to be rows of
+    // the venue, so searches such as "Enmax 2" still find accounts.
+    const seatMatch = trimmed.match(/^([a-z][a-z0-9]*?)\s*-?\s*(\d+)$/i);
+    const rowLabel =
+      seatMatch &&
+      (VenueLayout.forVenue(venueId)
+        .getRows()
+        .find((row) => row.toUpperCase() === seatMatch[1].toUpperCase()) ||
+        (seatMatch[1].length === 1 ? seatMatch[1].toUpperCase() : null));
+    if (rowLabel) {
+      const seatNumber = parseInt(seatMatch[2]);
+      return {
+        type: "seat",
+        seat: { rowLabel: rowLabel, seatNumber: seatNumber },
+        matches: index.filter(
+          (entry) =>
+            entry.venueId === venueId &&
+            entry.rowLabel === rowLabel &&
+            entry.seatNumbers.includes(seatNumber)
+        ),
+      };
+    }
+
+    const opportunityMatches = index.filter(
+      (entry) =>
+        entry.opportunityId &&
+        entry.opportunityId.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (opportunityMatches.length > 0) {
+      return { type: "opportunity", matches: opportunityMatches };
+    }
+
+    // Keep only the accounts with the best score
+    let bestScore = null;
+    let accounts = [];
+    this.getAccountNames(seatData).forEach((name) => {
+      const score = this.fuzzyScore(name, trimmed);
+      if (score === null) return;
+
+      if (bestScore === null || score < bestScore) {
+        bestScore = score;
+        accounts = [name];
+      } else if (score === bestScore) {
+        accounts.push(name);
+      }
+    });
+
+    return {
+      type: "account",
+      accounts: accounts,
+      matches: index.filter((entry) => accounts.includes(entry.accountName)),
+    };
+  },
+
+  // Group cart entries by venue, day, event and row for display
+  groupCartEntries(cart) {
+    const groups = new Map();
+
+    cart.forEach((entry) => {
+      const key = `${entry.venueId}|${entry.day}|${entry.event}|${entry.rowLabel}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          venueId: entry.venueId,
+          day: entry.day,
+          event: entry.event,
+          rowLabel: entry.rowLabel,
+          seatNumbers: [],
+        });
+      }
+      groups.get(key).seatNumbers.push(entry.seatNumber);
+    });
+
+    return Array.from(groups.values()).sort(
+      (a, b) =>
+        a.venueId.localeCompare(b.venueId) ||
+        this.compareDays(a.day, b.day) ||
+        a.event.localeCompare(b.event) ||
+        a.rowLabel.localeCompare(b.rowLabel)
+    );
+  },
+
+  // Build a draft opportunity with one OpportunityLineItem-shaped record
+  // per seat, using the same field names as the Apex seat query
+  buildDraftOpportunity(cart) {
+    return {
+      opportunity: {
+        Name: `Draft booking - ${cart.length} seats`,
+        StageName: "Prospecting",
+      },
+      lineItems: cart.map((entry) => ({
+        Quantity: 1,
+        PricebookEntry: {
+          Product2: {
+            Venue__c: entry.venueId,
+            Row__c: entry.rowLabel,
+            Seat_Number__c: entry.seatNumber,
+            Day_of_Stampede__c: entry.day,
+            Event_Type__c: entry.event,
+          },
+        },
+      })),
+    };
+  },
+
+  // One line per seat group of processed data, in row order, for exports
+  getSeatGroupLines(processedData, venueId) {
+    const rows = VenueLayout.forVenue(venueId).getRows();
+    const lines = [];
+
+    processedData.forEach((row) => {
+      row.seatGroups.forEach((group) => {
+        lines.push({
+          venueId: venueId,
+          rowLabel: row.rowLabel,
+          seatNumbers: group.seats.map((seat) => seat.seatNumber),
+          seatCount: group.seats.length,
+          accountName: group.accountName || "",
+          opportunityId: group.opportunityId || "",
+          status: group.status,
+          day: group.day,
+          event: group.event,
+        });
+      });
+    });
+
+    return lines.sort(
+      (a, b) =>
+        rows.indexOf(a.rowLabel) - rows.indexOf(b.rowLabel) ||
+        a.seatNumbers[0] - b.seatNumbers[0]
+    );
+  },
+
+  // Build CSV text from a header row and value rows. Values containing a
+  // comma, quote or line break are quoted.
+  toCsv(headers, rows) {
+    const formatCell = (value) => {
+      const text = value === undefined || value === null ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [headers, ...rows]
+      .map((cells) => cells.map(formatCell).join(","))
+      .join("\r\n");
+  },
+
+  // Fields a seat import can read from a CSV column, with the header
+  // names recognised for each
+  importColumns: [
+    {
+      field: "row",
+      label: "Row",
+      required: true,
+      headers: ["row", "seat row"],
+    },
+    {
+      field: "seatNumber",
+      label: "Seat",
+      required: true,
+      headers: ["seat", "seat number", "seat no", "seat #"],
+    },
+    {
+      field: "day",
+      label: "Day",
+      required: true,
+      headers: ["day", "day of stampede"],
+    },
+    {
+      field: "event",
+      label: "Event",
+      required: true,
+      headers: ["event", "event type"],
+    },
+    {
+      field: "accountName",
+      label: "Account",
+      headers: ["account", "account name", "opportunity account name"],
+    },
+    {
+      field: "opportunityId",
+      label: "Opportunity",
+      headers: ["opportunity", "opportunity id", "opp", "opp id"],
+    },
+    { field: "venue", label: "Venue", headers: ["venue"] },
+    { field: "status", label: "Status", headers: ["status", "seat status"] },
+    {
+      field: "owner",
+      label: "Sales rep",
+      headers: ["owner", "opportunity owner", "sales rep", "rep"],
+    },
+    {
+      field: "category",
+      label: "Sponsor tier",
+      headers: ["sponsor tier", "tier", "category"],
+    },
+  ],
+
+  // Parse CSV text as saved by Excel. Quoted fields can contain the
+  // delimiter, line breaks and doubled quotes. The delimiter (comma,
+  // semicolon or tab) is picked from the header line.
+  parseCsv(text) {
+    text = text.replace(/^\uFEFF/, "");
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+      headerLine.split(candidate).length > headerLine.split(best).length
+        ? candidate
+        : best
+    );
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+  },
+
+  // Match CSV headers to import fields. Salesforce export headers such as
+  // "PricebookEntry.Product2.Seat_Number__c" are matched on their last part.
+  guessImportColumns(headers) {
+    const normalize = (header) =>
+      header
+        .split(".")
+        .pop()
+        .replace(/__c$/i, "")
+        .replace(/[_\s]+/g, " ")
+        .trim()
+        .toLowerCase();
+
+    const columns = {};
+    this.importColumns.forEach((column) => {
+      const index = headers.findIndex((header) =>
+        column.headers.includes(normalize(header))
+      );
+      if (index !== -1) columns[column.field] = index;
+    });
+    return columns;
+  },
+
+  // Check seats against the venue layouts. Each seat has venue, row,
+  // seatNumber, day and event, plus the line it came from. Returns one
+  // issue per seat with a problem.
+  validateSeats(seats) {
+    const issues = [];
+    const seen = new Map();
+
+    seats.forEach((seat) => {
+      const addIssue = (type, message, details) =>
+        issues.push({ seat: seat, type: type, message: message, ...details });
+
+      const missing = this.importColumns
+        .filter(({ field, required }) => required && seat[field] === "")
+        .map(({ label }) => label.toLowerCase());
+      if (missing.length > 0) {
+        addIssue("missing", `Missing ${missing.join(", ")}`);
+        return;
+      }
+
+      if (isNaN(seat.seatNumber)) {
+        addIssue("missing", "Seat number is not a number");
+        return;
+      }
+
+      if (!VenueLayout.getVenue(seat.venue)) {
+        addIssue("unknown-venue", `Unknown venue "${seat.venue}"`);
+        return;
+      }
+
+      const layout = VenueLayout.forVenue(seat.venue);
+      const seatId = `${seat.row}${seat.seatNumber}`;
+      if (!layout.getRows().includes(seat.row)) {
+        addIssue("unknown-row", `Unknown row "${seat.row}"`);
+        return;
+      }
+      if (layout.isPillarSeat(seat.row, seat.seatNumber)) {
+        addIssue("pillar", `${seatId} is a pillar`);
+        return;
+      }
+      if (!layout.hasSeat(seat.row, seat.seatNumber)) {
+        addIssue("no-seat", `${seatId} is not in the layout`);
+        return;
+      }
+
+      const key = `${seat.venue}|${seat.day}|${seat.event}|${seatId}`;
+      if (seen.has(key)) {
+        addIssue(
+          "duplicate",
+          `${seatId} is booked twice for ${seat.day} - ${seat.event}` +
+            (seen.get(key).line ? ` (see line ${seen.get(key).line})` : ""),
+          { duplicateOf: seen.get(key) }
+        );
+        return;
+      }
+      seen.set(key, seat);
+    });
+
+    return issues;
+  },
+
+  // Check loaded seats for double bookings and seats that can't be shown
+  // on the map, and list the records that couldn't be mapped at all
+  findDataIssues(seatData, unmappedRecords) {
+    const seats = [];
+    seatData.forEach((row) => {
+      row.seats.forEach((seat) => {
+        seats.push({ ...seat, venue: seat.venueId, row: row.rowLabel });
+      });
+    });
+
+    const issues = this.validateSeats(seats);
+    unmappedRecords.forEach((entry) => {
+      issues.push({
+        seat: {
+          recordId: entry.recordId,
+          line: entry.index !== undefined ? entry.index + 1 : null,
+        },
+        type: "unmapped",
+        message: `Missing ${entry.missing
+          .map((field) =>
+            this.importColumns
+              .find((column) => column.field === field)
+              .label.toLowerCase()
+          )
+          .join(", ")}`,
+      });
+    });
+
+    return issues;
+  },
+
+  // Read CSV rows into seats using the column index picked for each
+  // field. Seats without issues are returned as records for
+  // AppState.initialize, keyed by the first path of the field mapping.
+  buildImport(rows, columns) {
+    const venues = VenueLayout.getVenues();
+
+    const seats = rows.slice(1).map((cells, index) => {
+      const seat = { line: index + 2 };
+      this.importColumns.forEach(({ field }) => {
+        const cell =
+          columns[field] !== undefined ? cells[columns[field]] : undefined;
+        seat[field] = cell !== undefined ? cell.trim() : "";
+      });
+
+      seat.row = seat.row.toUpperCase();
+      if (seat.seatNumber !== "") {
+        seat.seatNumber = parseInt(parseFloat(seat.seatNumber));
+      }
+
+      // Venues can be given by id or name
+      const venue = venues.find(
+        ({ id, name }) =>
+          id.toLowerCase() === seat.venue.toLowerCase() ||
+          name.toLowerCase() === seat.venue.toLowerCase()
+      );
+      seat.venue = venue
+        ? venue.id
+        : seat.venue || VenueLayout.getDefaultVenueId();
+
+      return seat;
+    });
+
+    const issues = this.validateSeats(seats);
+    const invalid = new Set(issues.map((issue) => issue.seat));
+
+    const records = seats
+      .filter((seat) => !invalid.has(seat))
+      .map((seat) => {
+        const record = { [this.fieldMapping.id[0]]: `csv-${seat.line}` };
+        this.importColumns.forEach(({ field }) => {
+          if (seat[field] !== "") {
+            record[this.fieldMapping[field][0]] = seat[field];
+          }
+        });
+        return record;
+      });
+
+    return { seats: seats, issues: issues, records: records };
+  },
+};
@@ -0,0 +1,175 @@
+// data-sources.js - Data source module
+//
+// Data sources load the raw seat records. Each source has a name and a
+// load() method that resolves with an array of Salesforce records.
+
+import { Logger } from "./utils.js";
+
+export const DataSources = {
+  // Records bundled with the page, e.g. SALESFORCE_DATA from data.js
+  createStaticSource(records) {
+    return {
+      name: "static",
+      load() {
+        return Promise.resolve(records);
+      },
+    };
+  },
+
+  // JSON endpoint such as a Salesforce REST query or the local mock server.
+  // Accepts a plain array or a query response with a records array, and
+  // follows nextRecordsUrl to load the remaining pages.
+  createRestSource(options) {
+    const timeout = options.timeout || 15000;
+
+    const fetchJson = async (url) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetch(url, {
+          headers: { Accept: "application/json", ...options.headers },
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error(
+            `Request failed with ${response.status} ${response.statusText}`
+          );
+        }
+        return await response.json();
+      } catch (error) {
+        if (error.name === "AbortError") {
+          throw new Error(`Request timed out after ${timeout}ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    return {
+      name: "rest",
+      async load() {
+        let url = new URL(options.url, window.location.href).toString();
+        let records = [];
+
+        while (url) {
+          const body = await fetchJson(url);
+          if (Array.isArray(body)) {
+            return records.concat(body);
+          }
+          if (!body || !Array.isArray(body.records)) {
+            throw new Error("Response does not contain a records array");
+          }
+
+          records = records.concat(body.records);
+          url = body.nextRecordsUrl
+            ? new URL(body.nextRecordsUrl, url).toString()
+            : null;
+        }
+
+        return records;
+      },
+    };
+  },
+
+  // Bridge for an LWC @wire adapter. The component passes each wire result
+  // to receive(), e.g.
+  //
+  //   @wire(getSeatData)
+  //   wiredSeatData(result) {
+  //     this.wiredResult = result;
+  //     this.dataSource.receive(result);
+  //   }
+  //
+  // and can pass () => refreshApex(this.wiredResult) as refresh so a retry
+  // fetches the data again.
+  createLwcWireSource(refresh) {
+    let latest = null;
+    let waiting = [];
+
+    return {
+      name: "lwc-wire",
+      receive({ data, error }) {
+        if (!data && !error) return;
+
+        latest = { data, error };
+        waiting.forEach(({ resolve, reject }) =>
+          error ? reject(error) : resolve(data)
+        );
+        waiting = [];
+      },
+      load() {
+        // Use the last result unless it was an error that can be refreshed
+        if (latest && (!latest.error || !refresh)) {
+          return latest.error
+            ? Promise.reject(latest.error)
+            : Promise.resolve(latest.data);
+        }
+
+        const result = new Promise((resolve, reject) =>
+          waiting.push({ resolve, reject })
+        );
+        if (latest && refresh) {
+          latest = null;
+          refresh();
+        }
+        return result;
+      },
+    };
+  },
+
+  // Pick a data source from a config object, e.g. SEAT_MAP_CONFIG set by
+  // the host page, or from the page URL:
+  //   index.html?source=rest&url=http://localhost:3000/api/seats
+  // The config can also hand over a source created elsewhere, such as the
+  // LWC wire source, as dataSource.source. The static source uses
+  // dataSource.records, or else the records bundled with the page.
+  fromConfig(config, search, bundledRecords = []) {
+    const params = new URLSearchParams(search);
+    const sourceConfig = (config && config.dataSource) || {};
+    if (sourceConfig.source && !params.get("source")) {
+      return sourceConfig.source;
+    }
+    const type = params.get("source") || sourceConfig.type || "static";
+
+    if (type === "rest") {
+      return this.createRestSource({
+        ...sourceConfig,
+        url: params.get("url") || sourceConfig.url,
+      });
+    }
+
+    if (type !== "static") {
+      Logger.error(`Unknown data source "${type}", using static data`);
+    }
+    return this.createStaticSource(sourceConfig.records || bundledRecords);
+  },
+
+  // Load records from a source, retrying with an increasing delay
+  async load(source, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 2;
+    const retryDelay = options.retryDelay || 1000;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const records = await source.load();
+        if (!Array.isArray(records)) {
+          throw new Error("Data source did not return an array of records");
+        }
+        return records;
+      } catch (error) {
+        Logger.error(
+          `Loading from ${source.name} failed (attempt ${attempt + 1})`,
+          error
+        );
+        if (attempt >= retries) throw error;
+
+        if (options.onRetry) options.onRetry(attempt + 1, retries, error);
+        await new Promise((resolve) =>
+          setTimeout(resolve, retryDelay * 2 ** attempt)
+        );
+      }
+    }
+  },
+};
@@ -0,0 +1,286 @@
+// live-updates.js - Live update module
+//
+// Keeps the map up to date while several reps book seats at once. A
+// channel pushes the records other reps insert, update and delete, and the
+// seats each rep has selected for a booking, so they show as taken before
+// anyone saves.
+//
+// A channel has connect(handlers), publishSelection(selection) and
+// close(). It calls handlers.onChanges({ changes, user }) with changes
+// like { type: "insert" | "update" | "delete", record },
+// handlers.onSelection({ clientId, user, seats }) with cart entries as
+// seats, and handlers.onStatus(status, message) with a LIVE_STATUSES key.
+
+import { Logger, debounce } from "./utils.js";
+import { AppState } from "./app-state.js";
+import { UrlState } from "./url-state.js";
+
+export const LiveUpdates = {
+  channel: null,
+
+  // Identifies this page to the channel, so its own selection is ignored
+  clientId: Math.random().toString(36).slice(2),
+
+  // Name shown to other reps next to the seats this rep is selecting
+  user: "",
+
+  // Changes that arrive before the seat data has loaded, see start
+  queue: [],
+
+  // Selection last shared, as JSON
+  sharedSelection: "[]",
+
+  // Set when the channel lost changes, e.g. after a long disconnect
+  stale: false,
+
+  // Server-sent events from the mock server (mock-server.js) or any
+  // endpoint that sends "change" and "selection" events, and "reset" when
+  // it can't replay the changes a page missed while reconnecting.
+  // Selections are posted to selectionsUrl.
+  createEventSourceChannel(options) {
+    let source = null;
+
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch (error) {
+        Logger.warn(`Ignoring a live ${event.type} event:`, error.message);
+        return null;
+      }
+    };
+
+    return {
+      name: "event-source",
+      connect(handlers) {
+        const url = new URL(options.url, window.location.href);
+        url.searchParams.set("client", options.clientId);
+
+        handlers.onStatus("connecting");
+        source = new EventSource(url.toString());
+        source.addEventListener("open", () => handlers.onStatus("live"));
+        source.addEventListener("error", () =>
+          // The browser reconnects by itself unless the server refused
+          handlers.onStatus(
+            source.readyState === EventSource.CLOSED ? "stale" : "reconnecting"
+          )
+        );
+        source.addEventListener("change", (event) => {
+          const message = parse(event);
+          if (message) handlers.onChanges(message);
+        });
+        source.addEventListener("selection", (event) => {
+          const message = parse(event);
+          if (message) handlers.onSelection(message);
+        });
+        source.addEventListener("reset", () =>
+          handlers.onStatus("stale", "some changes were missed, reload")
+        );
+      },
+      publishSelection(selection) {
+        const url = new URL(options.selectionsUrl, window.location.href);
+        return fetch(url.toString(), {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(selection),
+        }).catch((error) =>
+          Logger.warn("Could not share the seat selection:", error.message)
+        );
+      },
+      close() {
+        if (source) source.close();
+      },
+    };
+  },
+
+  // Bridge for the Lightning component. The component subscribes to the
+  // change event channel of the seat records with lightning/empApi and
+  // passes each message to receive(), e.g.
+  //
+  //   subscribe("/data/OpportunityLineItemChangeEvent", -1, (message) =>
+  //     this.liveChannel.receive(message.data.payload)
+  //   );
+  //
+  // Change events only carry the fields of the record itself, so the seat
+  // fields need to be on the line item. Selections go through a platform
+  // event: publishSelection publishes one and the component passes the
+  // ones it receives to receiveSelection().
+  createLwcChannel(publishSelection) {
+    let handlers = null;
+
+    return {
+      name: "lwc",
+      connect(channelHandlers) {
+        handlers = channelHandlers;
+        handlers.onStatus("live");
+      },
+      receive(payload) {
+        const message = LiveUpdates.fromChangeEvent(payload);
+        if (handlers && message) handlers.onChanges(message);
+      },
+      receiveSelection(selection) {
+        if (handlers) handlers.onSelection(selection);
+      },
+      publishSelection: publishSelection,
+      close() {
+        handlers = null;
+      },
+    };
+  },
+
+  // Changes in a change data capture event payload. Updates only carry the
+  // changed fields. The user is the ID of the Salesforce user who made the
+  // change.
+  fromChangeEvent(payload) {
+    const { ChangeEventHeader: header, ...fields } = payload || {};
+    const type =
+      header &&
+      {
+        CREATE: "insert",
+        UNDELETE: "insert",
+        UPDATE: "update",
+        DELETE: "delete",
+      }[header.changeType];
+    if (!type) return null;
+
+    return {
+      user: header.commitUser || "",
+      changes: header.recordIds.map((id) => ({
+        type: type,
+        record: { ...fields, Id: id },
+      })),
+    };
+  },
+
+  // Pick a channel from a config object, e.g. SEAT_MAP_CONFIG.liveUpdates
+  // set by the host page, or from the page URL:
+  //   index.html?live=/api/live&user=Megan%20Clarke
+  // The config can also hand over a channel created elsewhere, such as the
+  // LWC one. Returns null when live updates are off.
+  fromConfig(config, search) {
+    const params = new URLSearchParams(search);
+    const liveConfig = (config && config.liveUpdates) || {};
+    const url = params.get("live") || liveConfig.url;
+    this.user = params.get("user") || liveConfig.user || "";
+
+    if (liveConfig.channel) return liveConfig.channel;
+    if (!url) return null;
+    if (typeof EventSource === "undefined") {
+      Logger.error("Live updates need EventSource, which is not available");
+      return null;
+    }
+    return this.createEventSourceChannel({
+      url: url,
+      selectionsUrl: liveConfig.selectionsUrl || `${url}/selections`,
+      clientId: this.clientId,
+    });
+  },
+
+  // Connect to a channel. Changes are queued until start is called, so the
+  // page can connect before it loads the seat data and miss nothing.
+  connect(channel) {
+    if (this.channel) return;
+    this.channel = channel;
+    channel.connect({
+      onChanges: (message) => this.receiveChanges(message),
+      onSelection: (message) => this.receiveSelection(message),
+      onStatus: (status, message) => this.setStatus(status, message),
+    });
+  },
+
+  // Apply the changes queued while the data loaded and share this rep's
+  // selection from now on
+  start() {
+    if (!this.channel || !this.queue) return;
+    const queue = this.queue;
+    this.queue = null;
+    queue.forEach((message) => this.receiveChanges(message));
+
+    AppState.addObserver(() => this.shareSelection());
+  },
+
+  receiveChanges(message) {
+    if (this.queue) {
+      this.queue.push(message);
+      return;
+    }
+
+    const result = AppState.applyChanges(message.changes || [], message.user);
+    // Select the changed booking again once the map shows its new seats
+    if (result.reselect) {
+      UrlState.pendingSelection = result.reselect;
+    }
+    this.setStatus("live", this.describeChanges(result, message.user));
+  },
+
+  receiveSelection(selection) {
+    if (selection.clientId === this.clientId) return;
+    AppState.setRemoteSelection(
+      selection.clientId,
+      selection.user,
+      selection.seats || []
+    );
+  },
+
+  setStatus(status, message = "") {
+    // The seats stay out of date until the page is reloaded
+    if (this.stale) return;
+    if (status === "stale") {
+      this.stale = true;
+    }
+    // The server forgets the selection of a page that disconnects
+    if (status === "live" && AppState.liveStatus === "reconnecting") {
+      this.sharedSelection = "[]";
+      this.shareSelection();
+    }
+    AppState.setLiveStatus(status, message);
+  },
+
+  // Share the seats in this rep's cart once they stop changing
+  shareSelection: debounce(function () {
+    const seats = AppState.cart;
+    const json = JSON.stringify(seats);
+    if (json === this.sharedSelection) return;
+
+    this.sharedSelection = json;
+    this.channel.publishSelection({
+      clientId: this.clientId,
+      user: this.user,
+      seats: seats,
+    });
+  }, 300),
+
+  // What a change did, e.g. "Raj Patel booked 2 seats on Day 1 - Friday,
+  // Rodeo", or which seats it took from this rep's cart
+  describeChanges({ changedSeats, removedFromCart }, user) {
+    const name = user || "Another rep";
+    const countSeats = (count) => (count === 1 ? "1 seat" : `${count} seats`);
+
+    if (removedFromCart.length > 0) {
+      return `${name} took ${countSeats(
+        removedFromCart.length
+      )} from your booking (${removedFromCart
+        .map((entry) => `${entry.rowLabel}${entry.seatNumber}`)
+        .join(", ")})`;
+    }
+
+    // An update that moves a seat lists it twice
+    const seats = new Set(
+      changedSeats.map((seat) => AppState.getCartKey(seat))
+    );
+    if (seats.size === 0) return "";
+
+    const types = new Set(changedSeats.map((seat) => seat.type));
+    const verb =
+      types.size === 1
+        ? { insert: "booked", update: "updated", delete: "released" }[
+            changedSeats[0].type
+          ]
+        : "changed";
+    const views = new Set(
+      changedSeats.map((seat) => `${seat.day}, ${seat.event}`)
+    );
+    const where = views.size === 1 ? ` on ${[...views][0]}` : "";
+
+    return `${name} ${verb} ${countSeats(seats.size)}${where}`;
+  },
+};
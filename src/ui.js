@@ -0,0 +1,3541 @@
+// ui.js - UI rendering module
+//
+// This handles all DOM manipulation
+
+import { VenueLayout } from "./venue-layout.js";
+import {
+  SEAT_STATUSES,
+  DATA_ISSUE_TYPES,
+  COLOR_MODES,
+  LIVE_STATUSES,
+} from "./constants.js";
+import { Logger, cssString, escapeHtml, hashColor } from "./utils.js";
+import { DataService } from "./data-service.js";
+import { AppState } from "./app-state.js";
+import { UrlState } from "./url-state.js";
+
+export const UI = {
+  // Initialize the UI
+  initialize(filterOptions) {
+    this.renderVenueLayout();
+    this.initializeFilters();
+    this.createSeatDetailPanel();
+    this.createCartPanel();
+    this.createSeatFinderPanel();
+    this.createOccupancyPanel();
+    this.createAccountPanel();
+    this.createFragmentsPanel();
+    this.createImportPanel();
+    this.createExportPanel();
+    this.createIssuesPanel();
+    this.renderFilterOptions(filterOptions);
+    this.updateColorLegend();
+    this.updateLiveStatus();
+    this.updateSeatingMap();
+    this.setupEventDelegation();
+    this.setupBookingSelection();
+    this.setupKeyboardNavigation();
+    this.setupSearch();
+    this.setupPrint();
+    this.setupHistory();
+  },
+
+  // Venue whose layout is currently rendered
+  renderedVenueId: null,
+
+  // Build the row labels and venue layout from the venue definition
+  renderVenueLayout() {
+    this.buildVenueLayout(document.querySelector(".seating-container"));
+    this.renderedVenueId = VenueLayout.venue.id;
+  },
+
+  // Build the current venue's layout into a seating container with
+  // .row-labels and .venue-layout elements
+  buildVenueLayout(container) {
+    const rowLabels = container.querySelector(".row-labels");
+    const venueLayout = container.querySelector(".venue-layout");
+    const rows = VenueLayout.getRows();
+
+    // Size the grids to match the venue
+    container.style.setProperty("--row-count", rows.length);
+    venueLayout.style.gridTemplateColumns = VenueLayout.venue.layout
+      .map((block) =>
+        block.type === "stairway" ? "var(--staircase-width)" : "1fr"
+      )
+      .join(" ");
+
+    rowLabels.innerHTML = "";
+    rows.forEach((rowLabel) => {
+      const labelElement = document.createElement("div");
+      labelElement.className = "row-label";
+      // Seats carry their row in their accessible names
+      labelElement.setAttribute("aria-hidden", "true");
+      labelElement.setAttribute("data-row", rowLabel);
+      labelElement.textContent = rowLabel;
+      rowLabels.appendChild(labelElement);
+    });
+
+    venueLayout.innerHTML = "";
+    VenueLayout.venue.layout.forEach((block) => {
+      if (block.type === "stairway") {
+        const staircase = document.createElement("div");
+        staircase.className = "staircase";
+        staircase.setAttribute("aria-hidden", "true");
+        venueLayout.appendChild(staircase);
+        return;
+      }
+
+      const sectionElement = document.createElement("div");
+      sectionElement.className = "seat-section";
+      sectionElement.setAttribute("data-section-id", block.id);
+      sectionElement.setAttribute("role", "rowgroup");
+      sectionElement.setAttribute("aria-label", block.name || block.id);
+
+      rows.forEach((rowLabel) => {
+        const rowElement = document.createElement("div");
+        rowElement.className = `row row-${rowLabel.toLowerCase()}`;
+        rowElement.setAttribute("role", "row");
+        rowElement.setAttribute("aria-label", `Row ${rowLabel}`);
+
+        // Seats, pillars and gaps are added by renderSeatGroups
+        sectionElement.appendChild(rowElement);
+      });
+
+      venueLayout.appendChild(sectionElement);
+    });
+  },
+
+  // Setup event delegation for seat clicks
+  setupEventDelegation() {
+    // Add a single event listener to the parent container
+    const seatingContainer = document.querySelector(".venue-layout");
+    if (!seatingContainer) return;
+
+    seatingContainer.addEventListener("click", (event) => {
+      // Check if a booked seat or connected seats group was clicked
+      const seat = event.target.closest(".seat[data-status], .connected-seats");
+      if (!seat) return;
+
+      // Remove active class from all seats
+      document
+        .querySelectorAll(".seat.active, .connected-seats.active")
+        .forEach((s) => s.classList.remove("active"));
+
+      // Add active class to clicked element
+      seat.classList.add("active");
+
+      // Bookings over several rows are selected as a whole
+      const linkKey = seat.getAttribute("data-link-key");
+      if (linkKey) {
+        const booking = AppState.multiRowBookings.find(
+          (entry) => entry.key === linkKey
+        );
+        document
+          .querySelectorAll(`[data-link-key=${cssString(linkKey)}]`)
+          .forEach((el) => el.classList.add("active"));
+
+        AppState.selectSeat({
+          isConnected: true,
+          linkKey: linkKey,
+          accountName: booking.accountName,
+          row: booking.rows.map((row) => row.rowLabel).join(", "),
+          rows: booking.rows,
+          seatCount: booking.seatCount,
+          day: booking.day,
+          eventType: booking.event,
+          opportunityId: booking.opportunityId,
+          status: booking.status,
+          holdExpiry: booking.holdExpiry,
+        });
+        return;
+      }
+
+      if (seat.classList.contains("connected-seats")) {
+        // Handle connected seats click
+        const opportunityId = seat.getAttribute("data-opportunity-id");
+        const accountName = seat.getAttribute("data-account");
+        const row = seat.getAttribute("data-row");
+        const day = seat.getAttribute("data-day");
+        const eventType = seat.getAttribute("data-event-type");
+        const status = seat.getAttribute("data-status");
+        const holdExpiry = seat.getAttribute("data-hold-expiry") || "";
+
+        // Find all connected elements with the same opportunity ID and status in the same row
+        const relatedElements = document.querySelectorAll(
+          `.connected-seats[data-opportunity-id=${cssString(
+            opportunityId
+          )}][data-row=${cssString(row)}][data-day=${cssString(
+            day
+          )}][data-event-type=${cssString(eventType)}][data-status=${cssString(
+            status
+          )}]`
+        );
+
+        // If there are multiple segments for the same booking (spanning across stairway or section)
+        if (relatedElements.length > 1) {
+          // Highlight all related segments
+          relatedElements.forEach((el) => {
+            el.classList.add("active");
+          });
+
+          // Find min and max seat numbers across all segments
+          let minSeat = Infinity;
+          let maxSeat = -Infinity;
+          let allSeatNumbers = [];
+
+          relatedElements.forEach((el) => {
+            const segmentStart = parseInt(
+              el.getAttribute("data-original-start") ||
+                el.getAttribute("data-start-seat")
+            );
+            const segmentEnd = parseInt(
+              el.getAttribute("data-original-end") ||
+                el.getAttribute("data-end-seat")
+            );
+
+            // Update min and max seats
+            minSeat = Math.min(minSeat, segmentStart);
+            maxSeat = Math.max(maxSeat, segmentEnd);
+
+            // Get actual seats for this segment (excluding pillars)
+            const segmentSeats = DataService.getActualSeats(
+              row,
+              segmentStart,
+              segmentEnd
+            );
+            allSeatNumbers.push(...segmentSeats);
+          });
+
+          // Sort and deduplicate seat numbers
+          allSeatNumbers = [...new Set(allSeatNumbers)].sort((a, b) => a - b);
+
+          // Set selected seat to represent the entire booking across all segments
+          AppState.selectSeat({
+            isConnected: true,
+            accountName: accountName,
+            row: row,
+            startSeat: minSeat,
+            endSeat: maxSeat,
+            seatCount: allSeatNumbers.length,
+            day: day,
+            eventType: eventType,
+            opportunityId: opportunityId,
+            status: status,
+            holdExpiry: holdExpiry,
+            isMultiSegment: true,
+            allSeatNumbers: allSeatNumbers,
+          });
+        } else {
+          // Single segment case (original behavior)
+          // If this is part of a split group, use the original group data
+          const startSeat =
+            seat.getAttribute("data-original-start") ||
+            seat.getAttribute("data-start-seat");
+          const endSeat =
+            seat.getAttribute("data-original-end") ||
+            seat.getAttribute("data-end-seat");
+
+          // Calculate actual seats excluding pillars
+          const actualSeats = DataService.getActualSeats(
+            row,
+            startSeat,
+            endSeat
+          );
+          const actualSeatCount = actualSeats.length;
+
+          // Set selected seat to this connected segment
+          AppState.selectSeat({
+            isConnected: true,
+            accountName: accountName,
+            row: row,
+            startSeat: startSeat,
+            endSeat: endSeat,
+            seatCount: actualSeatCount, // Use actual seat count excluding pillars
+            day: day,
+            eventType: eventType,
+            opportunityId: opportunityId,
+            status: status,
+            holdExpiry: holdExpiry,
+          });
+        }
+      } else {
+        // Handle individual seat click
+        // Row labels can be longer than one letter, e.g. "AA"
+        const seatId = seat.getAttribute("data-seat-id");
+        const row = seat.getAttribute("data-row");
+        const seatNumber = seatId.slice(row.length);
+
+        AppState.selectSeat({
+          seatId: seatId,
+          row: row,
+          seatNumber: seatNumber,
+          account: seat.getAttribute("data-account"),
+          eventType: seat.getAttribute("data-event-type"),
+          day: seat.getAttribute("data-day"),
+          sfId: seat.getAttribute("data-sf-id"),
+          opportunityId: seat.getAttribute("data-opportunity-id") || "",
+          status: seat.getAttribute("data-status"),
+          holdExpiry: seat.getAttribute("data-hold-expiry") || "",
+        });
+      }
+    });
+  },
+
+  // Seat range being dragged over in booking mode
+  bookingDrag: null,
+
+  // Seats from one seat to another that can be added to a booking.
+  // Selections stay within the section of the first seat so they never
+  // cross a stairway, and skip pillars and seats that are already taken.
+  getSelectableSeats(rowLabel, fromSeat, toSeat) {
+    const section = VenueLayout.getSection(rowLabel, fromSeat);
+    const seats = [];
+
+    for (
+      let i = Math.min(fromSeat, toSeat);
+      i <= Math.max(fromSeat, toSeat);
+      i++
+    ) {
+      if (
+        VenueLayout.getSection(rowLabel, i) === section &&
+        AppState.isSeatAvailable(rowLabel, i)
+      ) {
+        seats.push(i);
+      }
+    }
+
+    return seats;
+  },
+
+  // Find the available seat element under the pointer
+  getAvailableSeatAt(x, y) {
+    const target = document.elementFromPoint(x, y);
+    const seat = target && target.closest(".venue-layout .seat");
+    if (!seat || seat.hasAttribute("data-status")) return null;
+
+    const rowLabel = seat.getAttribute("data-row");
+    return {
+      element: seat,
+      rowLabel: rowLabel,
+      seatNumber: parseInt(
+        seat.getAttribute("data-seat-id").slice(rowLabel.length)
+      ),
+    };
+  },
+
+  // Highlight the seats covered by the current drag
+  previewBookingDrag() {
+    document
+      .querySelectorAll(".seat.selecting")
+      .forEach((seat) => seat.classList.remove("selecting"));
+
+    const drag = this.bookingDrag;
+    this.getSelectableSeats(
+      drag.rowLabel,
+      drag.anchorSeat,
+      drag.currentSeat
+    ).forEach((seatNumber) => {
+      const seatEl = document.querySelector(
+        `[data-seat-id="${drag.rowLabel}${seatNumber}"]`
+      );
+      if (seatEl) {
+        seatEl.classList.add("selecting");
+      }
+    });
+  },
+
+  // Click or drag across available seats to add them to the booking cart.
+  // Starting a drag on a seat that's already in the cart removes the range.
+  setupBookingSelection() {
+    const toggleButton = document.getElementById("booking-mode-toggle");
+    toggleButton.addEventListener("click", () => {
+      AppState.setBookingMode(!AppState.bookingMode);
+    });
+
+    const venueLayout = document.querySelector(".venue-layout");
+
+    venueLayout.addEventListener("pointerdown", (event) => {
+      if (!AppState.bookingMode || event.button !== 0) return;
+
+      const seat = this.getAvailableSeatAt(event.clientX, event.clientY);
+      if (!seat) return;
+
+      event.preventDefault();
+      this.bookingDrag = {
+        rowLabel: seat.rowLabel,
+        anchorSeat: seat.seatNumber,
+        currentSeat: seat.seatNumber,
+        removing: AppState.isInCart(seat.rowLabel, seat.seatNumber),
+      };
+      this.previewBookingDrag();
+    });
+
+    document.addEventListener("pointermove", (event) => {
+      if (!this.bookingDrag) return;
+
+      const seat = this.getAvailableSeatAt(event.clientX, event.clientY);
+      if (
+        seat &&
+        seat.rowLabel === this.bookingDrag.rowLabel &&
+        seat.seatNumber !== this.bookingDrag.currentSeat
+      ) {
+        this.bookingDrag.currentSeat = seat.seatNumber;
+        this.previewBookingDrag();
+      }
+    });
+
+    document.addEventListener("pointerup", () => {
+      if (!this.bookingDrag) return;
+
+      const drag = this.bookingDrag;
+      this.bookingDrag = null;
+
+      const seatNumbers = this.getSelectableSeats(
+        drag.rowLabel,
+        drag.anchorSeat,
+        drag.currentSeat
+      );
+
+      if (drag.removing) {
+        AppState.removeFromCart(
+          seatNumbers.map((seatNumber) =>
+            AppState.createCartEntry(drag.rowLabel, seatNumber)
+          )
+        );
+      } else {
+        AppState.addToCart(drag.rowLabel, seatNumbers);
+      }
+    });
+  },
+
+  // Create the booking cart panel
+  createCartPanel() {
+    const cartPanel = document.createElement("div");
+    cartPanel.className = "seat-detail-panel cart-panel";
+    cartPanel.id = "booking-cart";
+    cartPanel.hidden = true;
+    cartPanel.innerHTML = `
+      <h3>Booking Cart</h3>
+      <div id="booking-cart-content"></div>
+      <div class="panel-actions">
+        <button type="button" class="toolbar-button" id="booking-cart-clear">Clear</button>
+        <button type="button" class="toolbar-button primary" id="booking-cart-draft">Create Draft Opportunity</button>
+      </div>
+      <pre class="draft-payload" id="booking-cart-payload" hidden></pre>`;
+
+    const detailPanel = document.getElementById("seat-detail-panel");
+    detailPanel.parentNode.insertBefore(cartPanel, detailPanel.nextSibling);
+
+    cartPanel.addEventListener("click", (event) => {
+      const removeButton = event.target.closest("[data-cart-group]");
+      if (removeButton) {
+        const group = DataService.groupCartEntries(AppState.cart)[
+          parseInt(removeButton.getAttribute("data-cart-group"))
+        ];
+        AppState.removeFromCart(
+          group.seatNumbers.map((seatNumber) => ({
+            venueId: group.venueId,
+            day: group.day,
+            event: group.event,
+            rowLabel: group.rowLabel,
+            seatNumber: seatNumber,
+          }))
+        );
+      }
+    });
+
+    document
+      .getElementById("booking-cart-clear")
+      .addEventListener("click", () => AppState.clearCart());
+
+    document
+      .getElementById("booking-cart-draft")
+      .addEventListener("click", () => {
+        const payload = DataService.buildDraftOpportunity(AppState.cart);
+        Logger.log("Draft opportunity payload:", payload);
+
+        const payloadEl = document.getElementById("booking-cart-payload");
+        payloadEl.textContent = JSON.stringify(payload, null, 2);
+        payloadEl.hidden = false;
+
+        // Let a host page (or LWC wrapper) pick up the draft
+        document.dispatchEvent(
+          new CustomEvent("seatmap:draftopportunity", { detail: payload })
+        );
+      });
+
+    this.updateCartPanel();
+  },
+
+  // Update the booking cart panel and booking mode controls
+  updateCartPanel() {
+    const cartPanel = document.getElementById("booking-cart");
+    const toggleButton = document.getElementById("booking-mode-toggle");
+
+    toggleButton.setAttribute("aria-pressed", AppState.bookingMode);
+    document
+      .querySelector(".venue-layout")
+      .classList.toggle("booking-mode", AppState.bookingMode);
+    cartPanel.hidden = !AppState.bookingMode && AppState.cart.length === 0;
+
+    const content = document.getElementById("booking-cart-content");
+    const groups = DataService.groupCartEntries(AppState.cart);
+
+    // The payload is stale once the cart changes
+    document.getElementById("booking-cart-payload").hidden = true;
+    document.getElementById("booking-cart-draft").disabled =
+      groups.length === 0;
+
+    if (groups.length === 0) {
+      content.innerHTML =
+        "<p>Click or drag across available seats to add them</p>";
+      return;
+    }
+
+    let html = "";
+    groups.forEach((group, index) => {
+      const venue = VenueLayout.getVenue(group.venueId);
+      html += `<div class="detail-row cart-row">
+        <span class="detail-label">Row ${escapeHtml(group.rowLabel)}:</span>
+        <span class="cart-seats">${DataService.formatSeatRanges([
+          ...group.seatNumbers,
+        ])} (${group.seatNumbers.length} seats)<br /><small>${escapeHtml(
+        `${venue ? venue.name : group.venueId} - ${group.day} - ${group.event}`
+      )}</small></span>
+        <button type="button" class="cart-remove" data-cart-group="${index}" title="Remove from cart">&times;</button>
+      </div>`;
+    });
+    html += `<div class="detail-row"><span class="detail-label">Total:</span>${AppState.cart.length} seats</div>`;
+
+    content.innerHTML = html;
+  },
+
+  // Show or hide a tool panel from its toolbar button
+  setupPanelToggle(buttonId, panelId, onShow) {
+    const button = document.getElementById(buttonId);
+    const panel = document.getElementById(panelId);
+
+    button.setAttribute("aria-controls", panelId);
+    button.setAttribute("aria-expanded", !panel.hidden);
+    button.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      button.setAttribute("aria-expanded", !panel.hidden);
+
+      if (!panel.hidden && onShow) {
+        onShow();
+      }
+    });
+  },
+
+  // Create the occupancy overview panel
+  createOccupancyPanel() {
+    const occupancyPanel = document.createElement("div");
+    occupancyPanel.className = "seat-detail-panel occupancy-panel";
+    occupancyPanel.id = "occupancy-panel";
+    occupancyPanel.hidden = true;
+    occupancyPanel.innerHTML = `
+      <h3>Occupancy Overview</h3>
+      <p class="occupancy-key">
+        <span class="occupancy-sold">Sold</span> /
+        <span class="occupancy-held">Held</span> /
+        <span class="occupancy-available">Available</span>
+        - click a cell to show that day and event on the map
+      </p>
+      <div class="occupancy-scroll" id="occupancy-content"></div>`;
+
+    const finderPanel = document.getElementById("seat-finder");
+    finderPanel.parentNode.insertBefore(
+      occupancyPanel,
+      finderPanel.nextSibling
+    );
+
+    this.setupPanelToggle("occupancy-toggle", "occupancy-panel", () =>
+      this.updateOccupancyPanel()
+    );
+
+    occupancyPanel.addEventListener("click", (event) => {
+      const cell = event.target.closest("[data-day][data-event-type]");
+      if (!cell) return;
+
+      AppState.setFilters({
+        day: cell.getAttribute("data-day"),
+        event: cell.getAttribute("data-event-type"),
+      });
+      document
+        .querySelector(".seating-container")
+        .scrollIntoView({ block: "start" });
+    });
+  },
+
+  // Render a sold / held / available cell of the occupancy grid
+  renderOccupancyCell(stats, day, event) {
+    const taken = stats.capacity - stats.available;
+    const percent = stats.capacity
+      ? Math.round((taken / stats.capacity) * 100)
+      : 0;
+    const isCurrent =
+      day === AppState.selectedDay && event === AppState.selectedEvent;
+
+    // Comps count as sold; blocked seats are only listed in the tooltip
+    const title = `${escapeHtml(day)} - ${escapeHtml(event)}: ${
+      stats.sold
+    } sold, ${stats.comp} comp, ${stats.held} held, ${stats.blocked} blocked, ${
+      stats.available
+    } of ${stats.capacity} available (${percent}% taken)`;
+
+    return `<td class="occupancy-cell${
+      isCurrent ? " current" : ""
+    }" data-day="${escapeHtml(day)}" data-event-type="${escapeHtml(
+      event
+    )}" title="${title}" style="--occupancy: ${percent}%">
+      <span class="occupancy-sold">${
+        stats.sold + stats.comp
+      }</span>/<span class="occupancy-held">${
+      stats.held
+    }</span>/<span class="occupancy-available">${stats.available}</span>
+    </td>`;
+  },
+
+  // Render the days x events occupancy grid for the current venue
+  updateOccupancyPanel() {
+    const occupancyPanel = document.getElementById("occupancy-panel");
+    if (occupancyPanel.hidden) return;
+
+    const days = AppState.getDays();
+    const events = AppState.getEvents();
+
+    // Stats for every day and event, keyed by "day|event"
+    const statsByView = new Map();
+    days.forEach((day) => {
+      events.forEach((event) => {
+        statsByView.set(
+          `${day}|${event}`,
+          DataService.getOccupancyStats(AppState.getProcessedData(day, event))
+        );
+      });
+    });
+
+    let html =
+      '<table class="occupancy-table"><thead><tr><th rowspan="2">Section / Row</th>';
+    days.forEach((day) => {
+      html += `<th colspan="${events.length}" title="${escapeHtml(
+        day
+      )}">${escapeHtml(day.split(" - ")[0])}</th>`;
+    });
+    html += "</tr><tr>";
+    days.forEach(() => {
+      events.forEach((event) => {
+        html += `<th class="occupancy-event">${escapeHtml(event)}</th>`;
+      });
+    });
+    html += "</tr></thead><tbody>";
+
+    // Add a table row for a set of stats from each day and event
+    const addRow = (label, className, selectStats) => {
+      html += `<tr class="${className}"><th>${label}</th>`;
+      days.forEach((day) => {
+        events.forEach((event) => {
+          const stats = selectStats(
+            Array.from(statsByView.get(`${day}|${event}`).values())
+          );
+          html += this.renderOccupancyCell(stats, day, event);
+        });
+      });
+      html += "</tr>";
+    };
+
+    addRow("All sections", "occupancy-total", (rows) =>
+      DataService.sumOccupancyStats(rows)
+    );
+
+    VenueLayout.getSections().forEach((section) => {
+      addRow(section.name || section.id, "occupancy-section", (rows) =>
+        DataService.sumOccupancyStats(
+          rows.filter((stats) => stats.sectionId === section.id)
+        )
+      );
+
+      VenueLayout.getRows().forEach((rowLabel) => {
+        addRow(`Row ${rowLabel}`, "occupancy-row", (rows) =>
+          rows.find(
+            (stats) =>
+              stats.sectionId === section.id && stats.rowLabel === rowLabel
+          )
+        );
+      });
+    });
+
+    html += "</tbody></table>";
+    document.getElementById("occupancy-content").innerHTML = html;
+  },
+
+  // Filters the seat finder's day and event were last synced to
+  finderFilters: null,
+
+  // Create the best-available seat finder panel
+  createSeatFinderPanel() {
+    const finderPanel = document.createElement("div");
+    finderPanel.className = "seat-detail-panel finder-panel";
+    finderPanel.id = "seat-finder";
+    finderPanel.hidden = true;
+    finderPanel.innerHTML = `
+      <h3>Find Seats</h3>
+      <form class="finder-form" id="seat-finder-form">
+        <label>Party size
+          <input type="number" name="partySize" min="1" max="30" value="2" required />
+        </label>
+        <label>Day <select name="day"></select></label>
+        <label>Event <select name="event"></select></label>
+        <label>Row <select name="row"></select></label>
+        <label>Section <select name="section"></select></label>
+        <button type="submit" class="toolbar-button primary">Search</button>
+      </form>
+      <div id="seat-finder-results"></div>`;
+
+    const cartPanel = document.getElementById("booking-cart");
+    cartPanel.parentNode.insertBefore(finderPanel, cartPanel.nextSibling);
+
+    this.setupPanelToggle("seat-finder-toggle", "seat-finder");
+
+    // Day and event options are added by renderFilterOptions
+    const form = document.getElementById("seat-finder-form");
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      AppState.findSeats({
+        partySize: form.elements.partySize.value,
+        day: form.elements.day.value,
+        event: form.elements.event.value,
+        rowLabel: form.elements.row.value,
+        sectionId: form.elements.section.value,
+      });
+    });
+
+    document
+      .getElementById("seat-finder-results")
+      .addEventListener("click", (event) => {
+        const button = event.target.closest("[data-suggestion]");
+        if (!button) return;
+
+        const block =
+          AppState.seatSuggestions.blocks[
+            parseInt(button.getAttribute("data-suggestion"))
+          ];
+        AppState.selectSuggestion(block);
+
+        // Bring the block into view once the map has been updated
+        requestAnimationFrame(() => {
+          const seatEl = document.querySelector(
+            `[data-seat-id="${block.rowLabel}${block.seatNumbers[0]}"]`
+          );
+          if (seatEl) {
+            seatEl.scrollIntoView({ block: "nearest", inline: "center" });
+          }
+        });
+      });
+
+    this.updateSeatFinder();
+  },
+
+  // Update the seat finder options and results
+  updateSeatFinder() {
+    const form = document.getElementById("seat-finder-form");
+
+    // Row and section options depend on the venue
+    if (form.getAttribute("data-venue-id") !== AppState.selectedVenue) {
+      form.setAttribute("data-venue-id", AppState.selectedVenue);
+
+      form.elements.row.innerHTML = '<option value="">Any row</option>';
+      VenueLayout.getRows().forEach((rowLabel) => {
+        const option = document.createElement("option");
+        option.value = rowLabel;
+        option.textContent = `Row ${rowLabel}`;
+        form.elements.row.appendChild(option);
+      });
+
+      form.elements.section.innerHTML = '<option value="">Any section</option>';
+      VenueLayout.getSections().forEach((section) => {
+        const option = document.createElement("option");
+        option.value = section.id;
+        option.textContent = section.name || section.id;
+        form.elements.section.appendChild(option);
+      });
+    }
+
+    // Follow the map's day and event when they change
+    const filters = `${AppState.selectedDay}|${AppState.selectedEvent}`;
+    if (this.finderFilters !== filters) {
+      this.finderFilters = filters;
+      form.elements.day.value = AppState.selectedDay;
+      form.elements.event.value = AppState.selectedEvent;
+    }
+
+    const results = document.getElementById("seat-finder-results");
+    const suggestions = AppState.seatSuggestions;
+    if (!suggestions || suggestions.venueId !== AppState.selectedVenue) {
+      results.innerHTML = "";
+      return;
+    }
+
+    const partySize = parseInt(form.elements.partySize.value);
+    if (suggestions.blocks.length === 0) {
+      results.innerHTML = `<p>No blocks of ${partySize} seats together on ${escapeHtml(
+        `${suggestions.day} - ${suggestions.event}`
+      )}</p>`;
+      return;
+    }
+
+    let html = `<p class="finder-summary">Best available on ${escapeHtml(
+      `${suggestions.day} - ${suggestions.event}`
+    )}:</p><ol class="finder-results">`;
+    suggestions.blocks.forEach((block, index) => {
+      html += `<li><button type="button" class="finder-result" data-suggestion="${index}">
+        <strong>Row ${block.rowLabel}: ${DataService.formatSeatRanges([
+        ...block.seatNumbers,
+      ])}</strong>
+        <span>${block.sectionName}${
+        block.spansPillar ? " - either side of a pillar" : ""
+      }</span>
+      </button></li>`;
+    });
+    html += "</ol>";
+
+    results.innerHTML = html;
+  },
+
+  // Create the account view panel
+  createAccountPanel() {
+    const accountPanel = document.createElement("div");
+    accountPanel.className = "seat-detail-panel account-panel";
+    accountPanel.id = "account-panel";
+    accountPanel.hidden = true;
+    accountPanel.innerHTML = `
+      <h3>Account Bookings</h3>
+      <form class="finder-form" id="account-form">
+        <label>Account
+          <input type="search" name="account" list="account-options" placeholder="Search accounts" autocomplete="off" />
+        </label>
+        <datalist id="account-options"></datalist>
+      </form>
+      <div id="account-content"></div>`;
+
+    const occupancyPanel = document.getElementById("occupancy-panel");
+    occupancyPanel.parentNode.insertBefore(
+      accountPanel,
+      occupancyPanel.nextSibling
+    );
+
+    this.setupPanelToggle("account-toggle", "account-panel", () => {
+      this.updateAccountOptions();
+      this.updateAccountPanel();
+    });
+
+    const form = document.getElementById("account-form");
+    const findAccount = () => {
+      const query = form.elements.account.value.trim().toLowerCase();
+      const names = DataService.getAccountNames(AppState.seatData);
+
+      // Prefer an exact match, otherwise a single partial match
+      const exact = names.find((name) => name.toLowerCase() === query);
+      const partial = names.filter((name) =>
+        name.toLowerCase().includes(query)
+      );
+
+      if (exact || partial.length === 1) {
+        AppState.selectAccount(exact || partial[0]);
+      } else {
+        this.renderAccountMatches(query ? partial : []);
+      }
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      findAccount();
+    });
+    form.elements.account.addEventListener("change", findAccount);
+
+    accountPanel.addEventListener("click", (event) => {
+      const accountButton = event.target.closest("[data-account-option]");
+      if (accountButton) {
+        const accountName = accountButton.getAttribute("data-account-option");
+        form.elements.account.value = accountName;
+        AppState.selectAccount(accountName);
+        return;
+      }
+
+      // Jump to the day and event of a booking or mini-map
+      const viewLink = event.target.closest("[data-view-day]");
+      if (viewLink) {
+        AppState.setFilters({
+          venueId: viewLink.getAttribute("data-view-venue"),
+          day: viewLink.getAttribute("data-view-day"),
+          event: viewLink.getAttribute("data-view-event"),
+        });
+        document
+          .querySelector(".seating-container")
+          .scrollIntoView({ block: "start" });
+      }
+    });
+  },
+
+  // Fill the account search suggestions
+  updateAccountOptions() {
+    const datalist = document.getElementById("account-options");
+    datalist.innerHTML = "";
+    DataService.getAccountNames(AppState.seatData).forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      datalist.appendChild(option);
+    });
+  },
+
+  // List accounts matching a partial search
+  renderAccountMatches(names) {
+    const content = document.getElementById("account-content");
+
+    if (names.length === 0) {
+      content.innerHTML = "<p>No matching accounts</p>";
+      return;
+    }
+
+    content.innerHTML = `<div class="account-matches">${names
+      .map(
+        (name) =>
+          `<button type="button" class="finder-result" data-account-option="${escapeHtml(
+            name
+          )}">${escapeHtml(name)}</button>`
+      )
+      .join("")}</div>`;
+  },
+
+  // Render a small venue map with some seats highlighted
+  renderMiniMap(venueId, seatIds) {
+    const layout = VenueLayout.forVenue(venueId);
+    if (!layout.venue) return "";
+
+    const highlighted = new Set(seatIds);
+    const columns = layout.venue.layout
+      .map((block) => (block.type === "stairway" ? "4px" : "auto"))
+      .join(" ");
+
+    let html = `<div class="mini-map" style="grid-template-columns: ${columns}">`;
+    layout.venue.layout.forEach((block) => {
+      if (block.type === "stairway") {
+        html += '<div class="mini-staircase"></div>';
+        return;
+      }
+
+      html += '<div class="mini-section">';
+      layout.getRows().forEach((rowLabel) => {
+        html += '<div class="mini-row">';
+        layout.getRowItems(block, rowLabel).forEach((item) => {
+          if (item.type === "seat") {
+            html += `<i class="mini-seat${
+              highlighted.has(`${rowLabel}${item.seatNumber}`)
+                ? " highlighted"
+                : ""
+            }"></i>`;
+          } else {
+            html += `<i class="mini-${item.type}" style="grid-column: span ${
+              item.end - item.start + 1
+            }"></i>`;
+          }
+        });
+        html += "</div>";
+      });
+      html += "</div>";
+    });
+    html += "</div>";
+
+    return html;
+  },
+
+  // Render all bookings for the selected account
+  updateAccountPanel() {
+    const accountPanel = document.getElementById("account-panel");
+    if (accountPanel.hidden || !AppState.selectedAccount) return;
+
+    const bookings = DataService.getAccountBookings(
+      AppState.seatData,
+      AppState.selectedAccount
+    );
+    const content = document.getElementById("account-content");
+
+    if (bookings.opportunities.length === 0) {
+      content.innerHTML = `<p>No bookings for ${escapeHtml(
+        bookings.accountName
+      )}</p>`;
+      return;
+    }
+
+    const viewAttributes = (view) =>
+      `data-view-venue="${escapeHtml(
+        view.venueId
+      )}" data-view-day="${escapeHtml(view.day)}" data-view-event="${escapeHtml(
+        view.event
+      )}"`;
+
+    let html = `<div class="account-summary">
+      <strong>${escapeHtml(bookings.accountName)}</strong>
+      <span>${bookings.totals.seats} seats</span>
+      <span>${bookings.totals.opportunities} opportunities</span>
+      <span>${bookings.totals.days} days</span>
+    </div>`;
+
+    bookings.opportunities.forEach((opportunity) => {
+      html += `<div class="account-opportunity">
+        <div class="detail-row"><span class="detail-label">Opportunity ID:</span>${escapeHtml(
+          opportunity.opportunityId || "None"
+        )} (${opportunity.seatCount} seats)</div>`;
+
+      opportunity.lines.forEach((line) => {
+        const venue = VenueLayout.getVenue(line.venueId);
+        html += `<div class="detail-row account-line">
+          <button type="button" class="link-button" ${viewAttributes(
+            line
+          )}>${escapeHtml(line.day)} - ${escapeHtml(line.event)}</button>
+          <span>${escapeHtml(
+            venue ? venue.name : line.venueId
+          )}, Row ${escapeHtml(line.rowLabel)}: ${DataService.formatSeatRanges([
+          ...line.seatNumbers,
+        ])} (${line.seatNumbers.length} seats)</span>
+          ${
+            line.status !== "sold"
+              ? `<span class="status-badge ${line.status}">${
+                  SEAT_STATUSES[line.status].label
+                }</span>`
+              : ""
+          }
+        </div>`;
+      });
+
+      html += "</div>";
+    });
+
+    html += '<div class="mini-maps">';
+    bookings.views.forEach((view) => {
+      const venue = VenueLayout.getVenue(view.venueId);
+      html += `<button type="button" class="mini-map-card" ${viewAttributes(
+        view
+      )} title="Show ${escapeHtml(view.day)} - ${escapeHtml(
+        view.event
+      )} on the map">
+        <span>${escapeHtml(view.day)} - ${escapeHtml(view.event)}${
+        VenueLayout.getVenues().length > 1 && venue ? ` (${venue.name})` : ""
+      }</span>
+        ${this.renderMiniMap(view.venueId, view.seatIds)}
+      </button>`;
+    });
+    html += "</div>";
+
+    content.innerHTML = html;
+  },
+
+  // CSV file being previewed: its rows and the column picked per field
+  csvImport: null,
+
+  // Create the CSV import panel and the page-wide drop target
+  createImportPanel() {
+    const importPanel = document.createElement("div");
+    importPanel.className = "seat-detail-panel import-panel";
+    importPanel.id = "import-panel";
+    importPanel.hidden = true;
+    importPanel.innerHTML = `
+      <h3>Import Seats</h3>
+      <p class="panel-note">
+        Drop a CSV file anywhere on the page or choose one. It needs
+        columns for row, seat, day and event, and can have account,
+        opportunity, venue and status columns. Save Excel sheets as CSV first.
+      </p>
+      <form class="finder-form">
+        <label>CSV file
+          <input type="file" id="import-file" accept=".csv,text/csv" />
+        </label>
+      </form>
+      <div id="import-content"></div>`;
+
+    const fragmentsPanel = document.getElementById("fragments-panel");
+    fragmentsPanel.parentNode.insertBefore(
+      importPanel,
+      fragmentsPanel.nextSibling
+    );
+
+    this.setupPanelToggle("import-toggle", "import-panel");
+
+    const fileInput = document.getElementById("import-file");
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files.length > 0) {
+        this.readImportFile(fileInput.files[0]);
+      }
+      fileInput.value = "";
+    });
+
+    importPanel.addEventListener("change", (event) => {
+      const select = event.target.closest("[data-import-field]");
+      if (!select || !this.csvImport) return;
+
+      const field = select.getAttribute("data-import-field");
+      if (select.value === "") {
+        delete this.csvImport.columns[field];
+      } else {
+        this.csvImport.columns[field] = parseInt(select.value);
+      }
+      this.renderImportPreview();
+    });
+
+    importPanel.addEventListener("click", (event) => {
+      if (event.target.closest("#import-cancel")) {
+        this.csvImport = null;
+        this.renderImportPreview();
+      } else if (event.target.closest("#import-confirm")) {
+        const { fileName, result } = this.csvImport;
+        this.csvImport = null;
+        this.renderFilterOptions(AppState.reload(result.records));
+        document.getElementById("import-content").innerHTML = `<p>Imported ${
+          result.records.length
+        } seats from ${escapeHtml(fileName)}</p>`;
+      }
+    });
+
+    // Dropping a file anywhere on the page imports it
+    const appContainer = document.querySelector(".app-container");
+    const hasFiles = (event) =>
+      Array.from(event.dataTransfer.types).includes("Files");
+
+    document.addEventListener("dragover", (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      appContainer.classList.add("import-drop-active");
+    });
+    document.addEventListener("dragleave", (event) => {
+      if (!event.relatedTarget) {
+        appContainer.classList.remove("import-drop-active");
+      }
+    });
+    document.addEventListener("drop", (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      appContainer.classList.remove("import-drop-active");
+      if (event.dataTransfer.files.length > 0) {
+        this.readImportFile(event.dataTransfer.files[0]);
+      }
+    });
+  },
+
+  // Read a CSV file and show a preview of the import
+  async readImportFile(file) {
+    const importPanel = document.getElementById("import-panel");
+    importPanel.hidden = false;
+    document
+      .getElementById("import-toggle")
+      .setAttribute("aria-expanded", true);
+
+    const content = document.getElementById("import-content");
+    if (!/\.(csv|txt)$/i.test(file.name) && file.type !== "text/csv") {
+      this.csvImport = null;
+      content.innerHTML = `<p class="import-error">${escapeHtml(
+        file.name
+      )} is not a CSV file</p>`;
+      return;
+    }
+
+    try {
+      const rows = DataService.parseCsv(await file.text());
+      if (rows.length < 2) {
+        throw new Error("The file has no rows below the header");
+      }
+
+      this.csvImport = {
+        fileName: file.name,
+        rows: rows,
+        columns: DataService.guessImportColumns(rows[0]),
+        result: null,
+      };
+    } catch (error) {
+      Logger.error("Error reading import file:", error);
+      this.csvImport = null;
+      content.innerHTML = `<p class="import-error">Could not read ${escapeHtml(
+        file.name
+      )}: ${escapeHtml(error.message)}</p>`;
+      return;
+    }
+
+    this.renderImportPreview();
+    importPanel.scrollIntoView({ block: "nearest" });
+  },
+
+  // Show the column mapping and the problems found in the file
+  renderImportPreview() {
+    const content = document.getElementById("import-content");
+    const csvImport = this.csvImport;
+    if (!csvImport) {
+      content.innerHTML = "";
+      return;
+    }
+
+    const headers = csvImport.rows[0];
+    const result = DataService.buildImport(csvImport.rows, csvImport.columns);
+    csvImport.result = result;
+
+    let html = `<p><strong>${escapeHtml(csvImport.fileName)}</strong>: ${
+      result.seats.length
+    } rows</p><form class="finder-form import-columns">`;
+    DataService.importColumns.forEach(({ field, label, required }) => {
+      html += `<label>${label}${required ? " *" : ""}
+        <select data-import-field="${field}">
+          <option value="">${required ? "Choose column" : "None"}</option>
+          ${headers
+            .map(
+              (header, index) =>
+                `<option value="${index}"${
+                  csvImport.columns[field] === index ? " selected" : ""
+                }>${escapeHtml(header || `Column ${index + 1}`)}</option>`
+            )
+            .join("")}
+        </select>
+      </label>`;
+    });
+    html += "</form>";
+
+    // Only list the first problems so a badly mapped file stays readable
+    const shownIssues = result.issues.slice(0, 50);
+    if (result.issues.length > 0) {
+      html += `<p class="import-error">${result.issues.length} rows have problems and will be skipped:</p>
+        <table class="import-issues">
+          <thead><tr><th>Line</th><th>Problem</th></tr></thead>
+          <tbody>`;
+      shownIssues.forEach((issue) => {
+        html += `<tr class="import-issue-${issue.type}"><td>${
+          issue.seat.line
+        }</td><td>${escapeHtml(issue.message)}</td></tr>`;
+      });
+      html += "</tbody></table>";
+      if (result.issues.length > shownIssues.length) {
+        html += `<p>...and ${
+          result.issues.length - shownIssues.length
+        } more</p>`;
+      }
+    }
+
+    html += `<div class="panel-actions">
+        <button type="button" class="toolbar-button" id="import-cancel">Cancel</button>
+        <button type="button" class="toolbar-button primary" id="import-confirm"${
+          result.records.length === 0 ? " disabled" : ""
+        }>Import ${result.records.length} seats</button>
+      </div>
+      <p class="panel-note">Importing replaces the seats currently on the map.</p>`;
+
+    content.innerHTML = html;
+  },
+
+  // Create the export panel
+  createExportPanel() {
+    const exportPanel = document.createElement("div");
+    exportPanel.className = "seat-detail-panel export-panel";
+    exportPanel.id = "export-panel";
+    exportPanel.hidden = true;
+    exportPanel.innerHTML = `
+      <h3>Export Seats</h3>
+      <form class="finder-form" id="export-form">
+        <label>Export
+          <select name="scope">
+            <option value="view">Current view</option>
+            <option value="all">All days and events</option>
+          </select>
+        </label>
+        <button type="button" class="toolbar-button primary" data-export-format="csv">Download CSV</button>
+        <button type="button" class="toolbar-button" data-export-format="json">Download JSON</button>
+      </form>
+      <p class="panel-note" id="export-summary"></p>
+      <form class="finder-form" id="image-export-form">
+        <label>Picture of this view
+          <select name="opportunity"></select>
+        </label>
+        <button type="button" class="toolbar-button" data-image-format="svg">Download SVG</button>
+        <button type="button" class="toolbar-button" data-image-format="png">Download PNG</button>
+      </form>`;
+
+    const importPanel = document.getElementById("import-panel");
+    importPanel.parentNode.insertBefore(exportPanel, importPanel.nextSibling);
+
+    this.setupPanelToggle("export-toggle", "export-panel", () =>
+      this.updateExportPanel()
+    );
+
+    const form = document.getElementById("export-form");
+    form.elements.scope.addEventListener("change", () =>
+      this.updateExportPanel()
+    );
+    form.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-export-format]");
+      if (button) {
+        this.exportSeatGroups(
+          form.elements.scope.value,
+          button.getAttribute("data-export-format")
+        );
+      }
+    });
+    const imageForm = document.getElementById("image-export-form");
+    imageForm.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-image-format]");
+      if (button) {
+        this.exportSeatMapImage(
+          button.getAttribute("data-image-format"),
+          imageForm.elements.opportunity.value
+        );
+      }
+    });
+  },
+
+  // Days and events covered by an export, each with its seat group lines
+  getExportViews(scope) {
+    const views =
+      scope === "all"
+        ? AppState.getDays().flatMap((day) =>
+            AppState.getEvents().map((event) => ({ day, event }))
+          )
+        : [{ day: AppState.selectedDay, event: AppState.selectedEvent }];
+
+    return views.map((view) => ({
+      day: view.day,
+      event: view.event,
+      lines: DataService.getSeatGroupLines(
+        scope === "all"
+          ? AppState.getProcessedData(view.day, view.event)
+          : AppState.processedData,
+        AppState.selectedVenue
+      ),
+    }));
+  },
+
+  // Say what the selected export will contain
+  updateExportPanel() {
+    if (document.getElementById("export-panel").hidden) return;
+
+    // Opportunities in the current view that can be highlighted on their own
+    const select =
+      document.getElementById("image-export-form").elements.opportunity;
+    const selected = select.value;
+    const opportunities = new Map();
+    DataService.getSeatGroupLines(
+      AppState.processedData,
+      AppState.selectedVenue
+    ).forEach((line) => {
+      if (line.opportunityId && !opportunities.has(line.opportunityId)) {
+        opportunities.set(line.opportunityId, line.accountName);
+      }
+    });
+    select.innerHTML = '<option value="">All bookings</option>';
+    [...opportunities]
+      .sort((a, b) => a[1].localeCompare(b[1]) || a[0].localeCompare(b[0]))
+      .forEach(([opportunityId, accountName]) => {
+        const option = document.createElement("option");
+        option.value = opportunityId;
+        option.textContent = `Only ${accountName} (${opportunityId})`;
+        select.appendChild(option);
+      });
+    select.value = opportunities.has(selected) ? selected : "";
+
+    const form = document.getElementById("export-form");
+    const views = this.getExportViews(form.elements.scope.value);
+    const lines = views.reduce((total, view) => total + view.lines.length, 0);
+    const venue = VenueLayout.venue.name;
+
+    document.getElementById("export-summary").textContent =
+      form.elements.scope.value === "all"
+        ? `${lines} seat groups in the ${venue} across ${views.length} days and events`
+        : `${lines} seat groups in the ${venue} on ${AppState.selectedDay} - ${AppState.selectedEvent}`;
+  },
+
+  // Download the seat groups of the current view or of every day and event
+  exportSeatGroups(scope, format) {
+    const views = this.getExportViews(scope);
+    const venue = VenueLayout.venue;
+    const fileName = [
+      "seats",
+      venue.id,
+      ...(scope === "all"
+        ? ["all-days"]
+        : [AppState.selectedDay, AppState.selectedEvent]),
+    ]
+      .join("-")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-");
+
+    if (format === "json") {
+      const manifest = {
+        venue: { id: venue.id, name: venue.name },
+        exportedAt: new Date().toISOString(),
+        views: views.map((view) => ({
+          day: view.day,
+          event: view.event,
+          seatCount: view.lines.reduce(
+            (total, line) => total + line.seatCount,
+            0
+          ),
+          groups: view.lines.map((line) => ({
+            row: line.rowLabel,
+            seats: DataService.formatSeatRanges([...line.seatNumbers]),
+            seatNumbers: line.seatNumbers,
+            seatCount: line.seatCount,
+            account: line.accountName,
+            opportunity: line.opportunityId,
+            status: line.status,
+          })),
+        })),
+      };
+      this.downloadFile(
+        `${fileName}.json`,
+        JSON.stringify(manifest, null, 2),
+        "application/json"
+      );
+      return;
+    }
+
+    const csv = DataService.toCsv(
+      [
+        "Venue",
+        "Row",
+        "Seats",
+        "Seat Count",
+        "Account",
+        "Opportunity",
+        "Status",
+        "Day",
+        "Event",
+      ],
+      views.flatMap((view) =>
+        view.lines.map((line) => [
+          venue.name,
+          line.rowLabel,
+          DataService.formatSeatRanges([...line.seatNumbers]),
+          line.seatCount,
+          line.accountName,
+          line.opportunityId,
+          SEAT_STATUSES[line.status].label,
+          line.day,
+          line.event,
+        ])
+      )
+    );
+    // The byte order mark lets Excel detect UTF-8
+    this.downloadFile(`${fileName}.csv`, `\uFEFF${csv}`, "text/csv");
+  },
+
+  // Build a standalone SVG of the current view. When an opportunity is
+  // given, only its seats are named and the other bookings are faded.
+  buildSeatMapSvg(opportunityId) {
+    const css = getComputedStyle(document.documentElement);
+    const color = (name) => css.getPropertyValue(`--color-${name}`).trim();
+    const statusColors = {
+      sold: [color("seat-booked-bg"), color("seat-booked-border")],
+      held: [color("seat-held-bg"), color("seat-held-border")],
+      comp: [color("seat-comp-bg"), color("seat-comp-border")],
+      blocked: ["url(#blocked-stripes)", color("seat-blocked-border")],
+    };
+
+    const seatSize = 30;
+    const seatGap = 2;
+    const rowGap = 5;
+    const stairwayWidth = 60;
+    const margin = 20;
+    const titleHeight = 40;
+    const rows = VenueLayout.getRows();
+    const rowY = (rowLabel) =>
+      margin + titleHeight + rows.indexOf(rowLabel) * (seatSize + rowGap);
+
+    // Left edge of each section, with the row labels in the first column
+    const sectionX = new Map();
+    let x = margin + seatSize + 10;
+    VenueLayout.venue.layout.forEach((block) => {
+      if (block.type === "stairway") {
+        x += stairwayWidth + seatGap;
+      } else {
+        sectionX.set(block, x);
+        x += (block.end - block.start + 1) * (seatSize + seatGap);
+      }
+    });
+    const mapWidth = x - seatGap + margin;
+    const seatX = (rowLabel, seatNumber) => {
+      const section = VenueLayout.getSection(rowLabel, seatNumber);
+      return (
+        sectionX.get(section) +
+        (seatNumber - section.start) * (seatSize + seatGap)
+      );
+    };
+
+    const rect = (rx, ry, width, fill, stroke, extra = "") =>
+      `<rect x="${rx}" y="${ry}" width="${width}" height="${seatSize}" rx="4" fill="${fill}" stroke="${stroke}"${extra}/>`;
+    const text = (tx, ty, content, extra = "") =>
+      `<text x="${tx}" y="${ty}" text-anchor="middle" dominant-baseline="central"${extra}>${escapeHtml(
+        content
+      )}</text>`;
+
+    let body = "";
+
+    // Title
+    const opportunityLine =
+      opportunityId &&
+      DataService.getSeatGroupLines(
+        AppState.processedData,
+        AppState.selectedVenue
+      ).find((line) => line.opportunityId === opportunityId);
+    const title = [
+      VenueLayout.venue.name,
+      AppState.selectedDay,
+      AppState.selectedEvent,
+      ...(opportunityLine ? [opportunityLine.accountName] : []),
+    ].join(" - ");
+    body += `<text x="${margin}" y="${
+      margin + 16
+    }" font-size="18" font-weight="bold" fill="${color("header")}">${escapeHtml(
+      title
+    )}</text>`;
+
+    // Row labels and stairways
+    rows.forEach((rowLabel) => {
+      body += rect(
+        margin,
+        rowY(rowLabel),
+        seatSize,
+        color("row-label-bg"),
+        "none"
+      );
+      body += text(
+        margin + seatSize / 2,
+        rowY(rowLabel) + seatSize / 2,
+        rowLabel,
+        ' font-weight="bold"'
+      );
+    });
+    const mapHeight = rows.length * (seatSize + rowGap) - rowGap;
+    x = margin + seatSize + 10;
+    VenueLayout.venue.layout.forEach((block) => {
+      if (block.type === "stairway") {
+        body += `<rect x="${x}" y="${
+          margin + titleHeight
+        }" width="${stairwayWidth}" height="${mapHeight}" rx="4" fill="${color(
+          "staircase-bg"
+        )}"/>`;
+        x += stairwayWidth + seatGap;
+      } else {
+        x += (block.end - block.start + 1) * (seatSize + seatGap);
+      }
+    });
+
+    // Seats taken in this view, so the rest can be drawn as available
+    const bookedSeats = new Set();
+    const groups = [];
+    AppState.processedData.forEach((row) => {
+      row.seatGroups.forEach((group) => {
+        groups.push({ rowLabel: row.rowLabel, group: group });
+        group.seats.forEach((seat) =>
+          bookedSeats.add(`${row.rowLabel}${seat.seatNumber}`)
+        );
+      });
+    });
+
+    // Available seats and pillars
+    VenueLayout.getSections().forEach((section) => {
+      rows.forEach((rowLabel) => {
+        VenueLayout.getRowItems(section, rowLabel).forEach((item) => {
+          if (item.type === "pillar") {
+            const width =
+              (item.end - item.start + 1) * (seatSize + seatGap) - seatGap;
+            body += rect(
+              seatX(rowLabel, item.start),
+              rowY(rowLabel),
+              width,
+              color("pillar-bg"),
+              color("pillar-border")
+            );
+            body += text(
+              seatX(rowLabel, item.start) + width / 2,
+              rowY(rowLabel) + seatSize / 2,
+              "PILLAR",
+              ` font-size="10" fill="${color("pillar-text")}"`
+            );
+          } else if (
+            item.type === "seat" &&
+            !bookedSeats.has(`${rowLabel}${item.seatNumber}`)
+          ) {
+            body += rect(
+              seatX(rowLabel, item.seatNumber),
+              rowY(rowLabel),
+              seatSize,
+              color("seat-bg"),
+              color("seat-border")
+            );
+            body += text(
+              seatX(rowLabel, item.seatNumber) + seatSize / 2,
+              rowY(rowLabel) + seatSize / 2,
+              item.seatNumber,
+              ' font-size="12"'
+            );
+          }
+        });
+      });
+    });
+
+    // Booked seats, one block per run of seats like the map
+    groups.forEach(({ rowLabel, group }) => {
+      const [fill, stroke] = statusColors[group.status];
+      const highlighted =
+        !opportunityId || group.opportunityId === opportunityId;
+      const style = [
+        group.status === "held" ? ' stroke-dasharray="4 2"' : "",
+        highlighted ? ' stroke-width="2"' : ' opacity="0.35"',
+      ].join("");
+
+      this.findSeatSegments(rowLabel, group.startSeat, group.endSeat).forEach(
+        (segment) => {
+          const segmentX = seatX(rowLabel, segment.start);
+          const width =
+            (segment.end - segment.start + 1) * (seatSize + seatGap) - seatGap;
+          body += rect(segmentX, rowY(rowLabel), width, fill, stroke, style);
+
+          // Only name the highlighted bookings
+          const label = !highlighted
+            ? ""
+            : group.isConnected
+            ? group.accountName || SEAT_STATUSES[group.status].label
+            : segment.start;
+          if (label !== "") {
+            const maxLength = Math.floor(width / 6);
+            body += text(
+              segmentX + width / 2,
+              rowY(rowLabel) + seatSize / 2,
+              String(label).length > maxLength
+                ? `${String(label).slice(0, maxLength - 1)}…`
+                : label,
+              group.isConnected
+                ? ' font-size="11" font-weight="bold"'
+                : ' font-size="12"'
+            );
+          }
+        }
+      );
+    });
+
+    // Legend
+    const legendItems = [
+      ["Available", color("seat-bg"), color("seat-border"), ""],
+      ...Object.keys(statusColors).map((status) => [
+        SEAT_STATUSES[status].label,
+        ...statusColors[status],
+        status === "held" ? ' stroke-dasharray="4 2"' : "",
+      ]),
+      ["Pillar", color("pillar-bg"), color("pillar-border"), ""],
+      ["Staircase", color("staircase-bg"), "none", ""],
+    ];
+    const legendY = margin + titleHeight + mapHeight + 30;
+    let legendX = margin;
+    legendItems.forEach(([label, fill, stroke, extra]) => {
+      body += `<rect x="${legendX}" y="${legendY}" width="20" height="20" rx="3" fill="${fill}" stroke="${stroke}"${extra}/>`;
+      body += `<text x="${legendX + 28}" y="${
+        legendY + 10
+      }" dominant-baseline="central">${escapeHtml(label)}</text>`;
+      legendX += 28 + label.length * 7 + 24;
+    });
+
+    const width = Math.max(mapWidth, legendX + margin);
+    const height = legendY + 20 + margin;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif" font-size="13" fill="${color(
+      "text"
+    )}">
+<defs>
+  <pattern id="blocked-stripes" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+    <rect width="8" height="8" fill="${color("seat-blocked-bg")}"/>
+    <rect width="4" height="8" fill="${color("seat-blocked-stripe")}"/>
+  </pattern>
+</defs>
+<rect width="100%" height="100%" fill="${color("main-bg")}"/>
+${body}
+</svg>`;
+  },
+
+  // Download the current view as an SVG, or as a PNG drawn from the SVG
+  exportSeatMapImage(format, opportunityId) {
+    const svg = this.buildSeatMapSvg(opportunityId);
+    const fileName = [
+      "seat-map",
+      VenueLayout.venue.id,
+      AppState.selectedDay,
+      AppState.selectedEvent,
+      opportunityId,
+    ]
+      .filter(Boolean)
+      .join("-")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-");
+
+    if (format === "svg") {
+      this.downloadFile(`${fileName}.svg`, svg, "image/svg+xml");
+      return;
+    }
+
+    // Draw at twice the size so the picture stays sharp
+    const url = URL.createObjectURL(
+      new Blob([svg], { type: "image/svg+xml;charset=utf-8" })
+    );
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = image.width * 2;
+      canvas.height = image.height * 2;
+      const context = canvas.getContext("2d");
+      context.scale(2, 2);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+
+      canvas.toBlob(
+        (blob) => this.downloadFile(`${fileName}.png`, blob),
+        "image/png"
+      );
+    };
+    image.onerror = (error) => {
+      URL.revokeObjectURL(url);
+      Logger.error("Error drawing the seat map image:", error);
+    };
+    image.src = url;
+  },
+
+  // Save text or a blob as a file through a temporary download link
+  downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(
+      content instanceof Blob
+        ? content
+        : new Blob([content], { type: `${type};charset=utf-8` })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  // Printable width of a landscape page in CSS pixels, less the margins
+  printWidth: 980,
+
+  // Undo and redo buttons and keyboard shortcuts
+  setupHistory() {
+    document
+      .getElementById("undo-button")
+      .addEventListener("click", () => AppState.undo());
+    document
+      .getElementById("redo-button")
+      .addEventListener("click", () => AppState.redo());
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac). Text fields keep their own undo.
+    document.addEventListener("keydown", (event) => {
+      if (
+        !(event.ctrlKey || event.metaKey) ||
+        event.altKey ||
+        event.target.closest("input, textarea, select, [contenteditable]")
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        AppState.undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        AppState.redo();
+      }
+    });
+
+    this.updateHistoryButtons();
+  },
+
+  // Enable the undo and redo buttons when there is something to undo or redo
+  updateHistoryButtons() {
+    document.getElementById("undo-button").disabled =
+      AppState.undoStack.length === 0;
+    document.getElementById("redo-button").disabled =
+      AppState.redoStack.length === 0;
+  },
+
+  // Print one page per day and event. Printing from the browser menu
+  // builds the same pages.
+  setupPrint() {
+    const printView = document.createElement("div");
+    printView.className = "print-view";
+    printView.id = "print-view";
+    document.body.appendChild(printView);
+
+    document.getElementById("print-button").addEventListener("click", () => {
+      this.buildPrintView();
+      window.print();
+    });
+
+    window.addEventListener("beforeprint", () => {
+      if (!printView.hasChildNodes()) this.buildPrintView();
+    });
+    window.addEventListener("afterprint", () => {
+      printView.innerHTML = "";
+    });
+  },
+
+  // Build a page for every day and event of the selected venue
+  buildPrintView() {
+    const printView = document.getElementById("print-view");
+    printView.innerHTML = "";
+
+    AppState.getDays().forEach((day) => {
+      AppState.getEvents().forEach((event) => {
+        printView.appendChild(this.renderPrintPage(day, event));
+      });
+    });
+  },
+
+  // Seat size that fits the whole venue across a printed page
+  getPrintSeatSize() {
+    const stairwayWidth = 20;
+    const seatGap = 2;
+    const stairways = VenueLayout.venue.layout.filter(
+      (block) => block.type === "stairway"
+    ).length;
+    const seatColumns = VenueLayout.getSections().reduce(
+      (total, section) => total + section.end - section.start + 1,
+      0
+    );
+
+    // The row labels take up one more seat column
+    const seatSize = Math.floor(
+      (this.printWidth - stairways * (stairwayWidth + seatGap)) /
+        (seatColumns + 1) -
+        seatGap
+    );
+    return { seatSize: Math.max(8, Math.min(30, seatSize)), stairwayWidth };
+  },
+
+  // Render the map, legend and account index for one day and event
+  renderPrintPage(day, event) {
+    const processedData = AppState.getProcessedData(day, event);
+    const { seatSize, stairwayWidth } = this.getPrintSeatSize();
+
+    const page = document.createElement("section");
+    page.className = "print-page";
+    page.style.setProperty("--seat-size", `${seatSize}px`);
+    page.style.setProperty("--staircase-width", `${stairwayWidth}px`);
+    page.innerHTML = `
+      <h2>${escapeHtml(`${VenueLayout.venue.name} - ${day} - ${event}`)}</h2>
+      <div class="seating-container">
+        <div class="row-labels"></div>
+        <div class="venue-scroll-container">
+          <div class="venue-layout"></div>
+        </div>
+      </div>`;
+
+    const container = page.querySelector(".seating-container");
+    this.buildVenueLayout(container);
+    this.renderSeatGroups(processedData, container);
+
+    // Leave out legend entries that only apply on screen
+    const legend = document.querySelector(".legend").cloneNode(true);
+    legend
+      .querySelectorAll(
+        ".legend-color.in-cart, .legend-color.suggested, .legend-color.remote-selection"
+      )
+      .forEach((color) => color.parentNode.remove());
+    page.appendChild(legend);
+
+    // Alphabetical index of accounts and their seats
+    const accounts = new Map();
+    DataService.getSeatGroupLines(
+      processedData,
+      AppState.selectedVenue
+    ).forEach((line) => {
+      if (!line.accountName) return;
+      if (!accounts.has(line.accountName)) {
+        accounts.set(line.accountName, []);
+      }
+      const status =
+        line.status === "sold" ? "" : ` (${SEAT_STATUSES[line.status].label})`;
+      accounts
+        .get(line.accountName)
+        .push(
+          `${escapeHtml(line.rowLabel)}${DataService.formatSeatRanges([
+            ...line.seatNumbers,
+          ])}${status}`
+        );
+    });
+
+    const names = [...accounts.keys()].sort((a, b) => a.localeCompare(b));
+    let html = "<h3>Accounts</h3>";
+    if (names.length === 0) {
+      html += "<p>No bookings</p>";
+    } else {
+      html += '<table class="print-index"><tbody>';
+      names.forEach((name) => {
+        html += `<tr><th>${escapeHtml(name)}</th><td>${accounts
+          .get(name)
+          .join("; ")}</td></tr>`;
+      });
+      html += "</tbody></table>";
+    }
+
+    const index = document.createElement("div");
+    index.className = "print-accounts";
+    index.innerHTML = html;
+    page.appendChild(index);
+
+    return page;
+  },
+
+  // Create the split bookings report panel
+  createFragmentsPanel() {
+    const fragmentsPanel = document.createElement("div");
+    fragmentsPanel.className = "seat-detail-panel fragments-panel";
+    fragmentsPanel.id = "fragments-panel";
+    fragmentsPanel.hidden = true;
+    fragmentsPanel.innerHTML = `
+      <h3>Split Bookings</h3>
+      <form class="finder-form" id="fragments-form">
+        <label class="checkbox-label">
+          <input type="checkbox" name="holesOnly" />
+          Only bookings with holes
+        </label>
+      </form>
+      <div id="fragments-content"></div>`;
+
+    const accountPanel = document.getElementById("account-panel");
+    accountPanel.parentNode.insertBefore(
+      fragmentsPanel,
+      accountPanel.nextSibling
+    );
+
+    this.setupPanelToggle("fragments-toggle", "fragments-panel", () =>
+      this.updateFragmentsPanel()
+    );
+
+    document
+      .getElementById("fragments-form")
+      .addEventListener("change", () => this.updateFragmentsPanel());
+
+    // Show the booking on the map, highlighted as a search match
+    fragmentsPanel.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-fragment-index]");
+      if (!button) return;
+
+      const booking = DataService.getFragmentedBookings(AppState.seatData)[
+        parseInt(button.getAttribute("data-fragment-index"))
+      ];
+      AppState.setFilters({
+        venueId: booking.venueId,
+        day: booking.day,
+        event: booking.event,
+      });
+      document.getElementById("seat-search").value = booking.opportunityId;
+      AppState.search(booking.opportunityId);
+      document
+        .querySelector(".seating-container")
+        .scrollIntoView({ block: "start" });
+    });
+  },
+
+  // Describe a gap in a split booking
+  describeFragmentGap(gap) {
+    const between = `${gap.rowLabel}${gap.after} and ${gap.rowLabel}${gap.before}`;
+    if (gap.kind === "stairway") return `stairway between ${between}`;
+    if (gap.kind === "pillar") return `pillar between ${between}`;
+    if (gap.kind === "numbering") {
+      return `no seats numbered between ${between}`;
+    }
+
+    const free =
+      gap.freeSeats === gap.seatNumbers.length
+        ? "free"
+        : gap.freeSeats === 0
+        ? "booked by others"
+        : `${gap.freeSeats} free`;
+    return `hole at ${gap.rowLabel}${DataService.formatSeatRanges([
+      ...gap.seatNumbers,
+    ])} (${free})`;
+  },
+
+  // List the split bookings
+  updateFragmentsPanel() {
+    if (document.getElementById("fragments-panel").hidden) return;
+
+    const holesOnly =
+      document.getElementById("fragments-form").elements.holesOnly.checked;
+    const report = DataService.getFragmentedBookings(AppState.seatData);
+    const content = document.getElementById("fragments-content");
+
+    const shown = report
+      .map((booking, index) => ({ booking, index }))
+      .filter(({ booking }) => !holesOnly || booking.hasHoles);
+    if (shown.length === 0) {
+      content.innerHTML = "<p>No split bookings</p>";
+      return;
+    }
+
+    let html = '<ol class="finder-results">';
+    shown.forEach(({ booking, index }) => {
+      const seats = booking.rows
+        .map(
+          (row) =>
+            `${escapeHtml(row.rowLabel)}${DataService.formatSeatRanges([
+              ...row.seatNumbers,
+            ])}`
+        )
+        .join("; ");
+      const notes = booking.gaps.map((gap) => this.describeFragmentGap(gap));
+      if (booking.rows.length > 1) {
+        notes.unshift(
+          `${booking.rows.length} rows (${booking.rows
+            .map((row) => row.rowLabel)
+            .join(", ")})`
+        );
+      }
+
+      html += `<li><button type="button" class="finder-result${
+        booking.hasHoles ? " has-holes" : ""
+      }" data-fragment-index="${index}">
+        <strong>${escapeHtml(booking.accountName)} (${escapeHtml(
+        booking.opportunityId
+      )})</strong>
+        <span>${escapeHtml(
+          `${VenueLayout.getVenue(booking.venueId).name}, ${booking.day} - ${
+            booking.event
+          }`
+        )}: ${seats}</span>
+        <span>Split by ${escapeHtml(notes.join(", "))}</span>
+      </button></li>`;
+    });
+    html += "</ol>";
+
+    content.innerHTML = html;
+  },
+
+  // Create the data issues panel
+  createIssuesPanel() {
+    const issuesPanel = document.createElement("div");
+    issuesPanel.className = "seat-detail-panel issues-panel";
+    issuesPanel.id = "issues-panel";
+    issuesPanel.hidden = true;
+    issuesPanel.innerHTML = `
+      <h3>Data Issues</h3>
+      <div id="issues-content"></div>`;
+
+    const exportPanel = document.getElementById("export-panel");
+    exportPanel.parentNode.insertBefore(issuesPanel, exportPanel.nextSibling);
+
+    this.setupPanelToggle("issues-toggle", "issues-panel", () =>
+      this.updateIssuesPanel()
+    );
+
+    // Jump to the day and event of an issue
+    issuesPanel.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-issue-index]");
+      if (!button) return;
+
+      const { seat } =
+        AppState.dataIssues[parseInt(button.getAttribute("data-issue-index"))];
+      AppState.setFilters({
+        venueId: seat.venue,
+        day: seat.day,
+        event: seat.event,
+      });
+      document
+        .querySelector(".seating-container")
+        .scrollIntoView({ block: "start" });
+    });
+
+    this.updateIssuesPanel();
+  },
+
+  // Update the issue count on the toolbar and the list of issues
+  updateIssuesPanel() {
+    const issues = AppState.dataIssues;
+    const button = document.getElementById("issues-toggle");
+    button.classList.toggle("has-issues", issues.length > 0);
+    document.getElementById("issue-count").textContent =
+      issues.length > 0 ? ` (${issues.length})` : "";
+
+    if (document.getElementById("issues-panel").hidden) return;
+
+    const content = document.getElementById("issues-content");
+    if (issues.length === 0) {
+      content.innerHTML = "<p>No data issues found</p>";
+      return;
+    }
+
+    const describeRecord = (seat) =>
+      [seat.recordId || `record ${seat.line}`, seat.accountName]
+        .filter(Boolean)
+        .map(escapeHtml)
+        .join(", ");
+
+    let html = "";
+    Object.keys(DATA_ISSUE_TYPES).forEach((type) => {
+      const ofType = issues
+        .map((issue, index) => ({ issue, index }))
+        .filter(({ issue }) => issue.type === type);
+      if (ofType.length === 0) return;
+
+      html += `<h4>${DATA_ISSUE_TYPES[type].label} (${ofType.length})</h4><ol class="finder-results">`;
+      ofType.forEach(({ issue, index }) => {
+        const records = [issue.seat, issue.duplicateOf]
+          .filter(Boolean)
+          .map(describeRecord)
+          .join(" / ");
+
+        // Records that can't be placed have no view to jump to
+        if (type === "unmapped" || type === "unknown-venue") {
+          html += `<li class="finder-result"><strong>${escapeHtml(
+            issue.message
+          )}</strong><span>${records}</span></li>`;
+          return;
+        }
+
+        html += `<li><button type="button" class="finder-result" data-issue-index="${index}">
+          <strong>${escapeHtml(issue.message)}</strong>
+          <span>${escapeHtml(
+            `${issue.seat.day} - ${issue.seat.event}`
+          )}: ${records}</span>
+        </button></li>`;
+      });
+      html += "</ol>";
+    });
+
+    content.innerHTML = html;
+  },
+
+  // Flag the seats, pillars and rows with data issues in the current view
+  highlightDataIssues() {
+    document
+      .querySelectorAll(".data-issue")
+      .forEach((el) => el.classList.remove("data-issue"));
+
+    AppState.getDataIssuesForView().forEach(({ seat, type }) => {
+      let elements = [];
+      if (type === "duplicate") {
+        elements = this.getSeatElements(seat.row, [seat.seatNumber]);
+      } else if (type === "pillar") {
+        elements = Array.from(
+          document.querySelectorAll(
+            `.venue-layout .pillar[data-row="${seat.row}"]`
+          )
+        ).filter(
+          (pillar) =>
+            seat.seatNumber >=
+              parseInt(pillar.getAttribute("data-start-seat")) &&
+            seat.seatNumber <= parseInt(pillar.getAttribute("data-end-seat"))
+        );
+      } else if (type === "no-seat") {
+        // The seat isn't on the map, so flag its row instead
+        elements = Array.from(
+          document.querySelectorAll(`.row-label[data-row="${seat.row}"]`)
+        );
+      }
+
+      elements.forEach((el) => el.classList.add("data-issue"));
+    });
+  },
+
+  // Timer that clears the highlight of seats other reps changed
+  liveChangeTimer: null,
+
+  // Highlight the seats of the current view that other reps have just
+  // changed. The map is updated again when the oldest highlight is due to
+  // go.
+  markLiveChanges() {
+    clearTimeout(this.liveChangeTimer);
+    document.querySelectorAll(".venue-layout .live-change").forEach((el) => {
+      el.classList.remove("live-change");
+      el.removeAttribute("data-changed-by");
+    });
+
+    const changes = AppState.getRecentChangesForView();
+    changes.forEach((change) => {
+      this.getSeatElements(change.rowLabel, [change.seatNumber]).forEach(
+        (el) => {
+          el.classList.add("live-change");
+          if (change.user) {
+            el.setAttribute("data-changed-by", change.user);
+          }
+        }
+      );
+    });
+
+    if (changes.length > 0) {
+      const oldest = Math.min(...changes.map((change) => change.time));
+      this.liveChangeTimer = setTimeout(
+        () => this.updateSeatingMap(),
+        oldest + AppState.recentChangeDuration - Date.now()
+      );
+    }
+  },
+
+  // Mark the free seats of the current view that other reps are selecting
+  // for a booking, with who is selecting them
+  markRemoteSelections() {
+    document
+      .querySelectorAll(".venue-layout .remote-selection")
+      .forEach((el) => {
+        el.classList.remove("remote-selection");
+        el.removeAttribute("data-selected-by");
+        // Booked seats have a title of their own
+        if (!el.hasAttribute("data-status")) {
+          el.removeAttribute("title");
+        }
+      });
+
+    AppState.remoteSelections.forEach(({ user, seats }) => {
+      const name = user || "Another rep";
+      seats.forEach((entry) => {
+        if (
+          entry.venueId !== AppState.selectedVenue ||
+          entry.day !== AppState.selectedDay ||
+          entry.event !== AppState.selectedEvent
+        ) {
+          return;
+        }
+        const seatEl = document.querySelector(
+          `.venue-layout .seat[data-seat-id="${entry.rowLabel}${entry.seatNumber}"]:not([data-status])`
+        );
+        if (seatEl) {
+          seatEl.classList.add("remote-selection");
+          seatEl.setAttribute("data-selected-by", name);
+          seatEl.title = `Being selected by ${name}`;
+        }
+      });
+    });
+  },
+
+  // Show whether live updates are connected, with a note on the last
+  // change
+  updateLiveStatus() {
+    const status = document.getElementById("live-status");
+    const liveStatus = LIVE_STATUSES[AppState.liveStatus];
+    status.hidden = !liveStatus;
+    document.getElementById("remote-selection-legend").hidden = !liveStatus;
+    if (!liveStatus) return;
+
+    const text = AppState.liveMessage
+      ? `${liveStatus.label} - ${AppState.liveMessage}`
+      : liveStatus.label;
+    // Only change the text when it changed, so it is announced once
+    if (status.textContent !== text) {
+      status.textContent = text;
+    }
+    status.className = `live-status ${AppState.liveStatus}`;
+  },
+
+  // Map elements showing some seats of a row: the seats themselves, or the
+  // connected blocks they have been merged into
+  getSeatElements(rowLabel, seatNumbers) {
+    const elements = new Set();
+    const connectedElements = document.querySelectorAll(
+      `.venue-layout .connected-seats[data-row="${rowLabel}"]`
+    );
+
+    seatNumbers.forEach((seatNumber) => {
+      const seatEl = document.querySelector(
+        `.venue-layout [data-seat-id="${rowLabel}${seatNumber}"]`
+      );
+      if (seatEl) {
+        elements.add(seatEl);
+        return;
+      }
+
+      connectedElements.forEach((connectedEl) => {
+        if (
+          seatNumber >= parseInt(connectedEl.getAttribute("data-start-seat")) &&
+          seatNumber <= parseInt(connectedEl.getAttribute("data-end-seat"))
+        ) {
+          elements.add(connectedEl);
+        }
+      });
+    });
+
+    return Array.from(elements);
+  },
+
+  // Scroll to the first search match once the map has been updated
+  pendingSearchScroll: false,
+
+  // Set up the search box
+  setupSearch() {
+    const form = document.getElementById("seat-search-form");
+    const input = document.getElementById("seat-search");
+
+    // Show a search restored from the page URL
+    input.value = AppState.searchQuery;
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.pendingSearchScroll = true;
+      AppState.search(input.value);
+    });
+
+    // Clearing the box clears the highlights
+    input.addEventListener("search", () => {
+      if (!input.value) AppState.search("");
+    });
+    input.addEventListener("input", () => {
+      if (!input.value) AppState.search("");
+    });
+  },
+
+  // Highlight search matches in the current view
+  highlightSearchMatches() {
+    document
+      .querySelectorAll(".search-match")
+      .forEach((el) => el.classList.remove("search-match"));
+
+    const result = AppState.searchResult;
+    const status = document.getElementById("seat-search-status");
+    if (!result) {
+      status.textContent = "";
+      return;
+    }
+
+    let elements = [];
+    AppState.getSearchMatchesForView().forEach((entry) => {
+      elements.push(...this.getSeatElements(entry.rowLabel, entry.seatNumbers));
+    });
+
+    // A free seat is still located on the map
+    if (result.type === "seat" && elements.length === 0) {
+      elements = this.getSeatElements(result.seat.rowLabel, [
+        result.seat.seatNumber,
+      ]);
+    }
+
+    elements.forEach((el) => el.classList.add("search-match"));
+
+    // Describe the result next to the search box
+    const views = AppState.getSearchViews();
+    if (result.type === "seat") {
+      status.textContent =
+        elements.length > 0
+          ? `Seat ${result.seat.rowLabel}${result.seat.seatNumber}`
+          : "Seat not found";
+    } else if (views.length === 0) {
+      status.textContent = "No matches";
+    } else {
+      const name =
+        result.type === "account"
+          ? result.accounts.join(", ")
+          : result.matches[0].opportunityId;
+      status.textContent = `${name} - ${
+        views.length > 1
+          ? `${AppState.searchViewIndex + 1} of ${
+              views.length
+            } days/events, press Enter for next`
+          : "1 day/event"
+      }`;
+    }
+
+    if (this.pendingSearchScroll && elements.length > 0) {
+      elements[0].scrollIntoView({ block: "nearest", inline: "center" });
+    }
+    this.pendingSearchScroll = false;
+  },
+
+  // Keep the filter controls in sync when filters change from code
+  syncFilterControls() {
+    document.getElementById("venue-filter").value = AppState.selectedVenue;
+    document.getElementById("day-filter").value = AppState.selectedDay;
+    document.querySelectorAll('input[name="event-type"]').forEach((radio) => {
+      radio.checked = radio.value === AppState.selectedEvent;
+    });
+    document.getElementById("color-mode").value = AppState.colorMode;
+  },
+
+  // Build the day and event options of the filters and the seat finder
+  // from the days and events in the seat data, e.g. again after an import
+  renderFilterOptions(filterOptions) {
+    const fillOptions = (select, values) => {
+      select.innerHTML = "";
+      values.forEach((value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+      });
+    };
+    const form = document.getElementById("seat-finder-form");
+    fillOptions(document.getElementById("day-filter"), filterOptions.days);
+    fillOptions(form.elements.day, filterOptions.days);
+    fillOptions(form.elements.event, filterOptions.events);
+    // Let the seat finder follow the map's day and event again
+    this.finderFilters = null;
+
+    const eventTypeFilter = document.getElementById("event-type-filter");
+    eventTypeFilter.innerHTML = "";
+    filterOptions.events.forEach((eventType, index) => {
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.id = `event-type-${index}`;
+      radio.name = "event-type";
+      radio.value = eventType;
+      radio.addEventListener("change", function () {
+        if (this.checked) {
+          Logger.log("Radio button changed to:", this.value);
+          AppState.setEvent(this.value);
+        }
+      });
+
+      const label = document.createElement("label");
+      label.htmlFor = radio.id;
+      label.textContent = eventType;
+      eventTypeFilter.append(radio, label);
+    });
+
+    this.syncFilterControls();
+    this.updateSeatFinder();
+  },
+
+  // Initialize filter controls that are already in the HTML
+  initializeFilters() {
+    // Build venue options from the venue definitions
+    const venueFilterSelect = document.getElementById("venue-filter");
+    VenueLayout.getVenues().forEach((venue) => {
+      const option = document.createElement("option");
+      option.value = venue.id;
+      option.textContent = venue.name;
+      venueFilterSelect.appendChild(option);
+    });
+    venueFilterSelect.value = AppState.selectedVenue;
+
+    // Day and event options are added by renderFilterOptions
+    const dayFilterSelect = document.getElementById("day-filter");
+
+    // Add event listeners
+    venueFilterSelect.addEventListener("change", function () {
+      AppState.setVenue(this.value);
+    });
+
+    dayFilterSelect.addEventListener("change", function () {
+      AppState.setDay(this.value);
+    });
+
+    // Build color mode options
+    const colorModeSelect = document.getElementById("color-mode");
+    Object.keys(COLOR_MODES).forEach((mode) => {
+      const option = document.createElement("option");
+      option.value = mode;
+      option.textContent = `Color by ${COLOR_MODES[mode].label.toLowerCase()}`;
+      colorModeSelect.appendChild(option);
+    });
+    colorModeSelect.value = AppState.colorMode;
+
+    colorModeSelect.addEventListener("change", function () {
+      AppState.setColorMode(this.value);
+    });
+
+    document
+      .getElementById("color-legend")
+      .addEventListener("click", (event) => {
+        const entry = event.target.closest(".legend-entry");
+        if (entry) {
+          AppState.setColorFocus(entry.getAttribute("data-value"));
+        }
+      });
+  },
+
+  // Create seat detail panel
+  createSeatDetailPanel() {
+    const detailPanel = document.createElement("div");
+    detailPanel.className = "seat-detail-panel";
+    detailPanel.id = "seat-detail-panel";
+    // Selections are announced to screen readers in the status element
+    detailPanel.innerHTML =
+      '<h3>Seat Details</h3><div id="seat-detail-content"></div>' +
+      '<div class="visually-hidden" id="seat-announcer" role="status"></div>';
+
+    // Add to main section, after the seating-container
+    const seatingContainer = document.querySelector(".seating-container");
+    seatingContainer.parentNode.insertBefore(
+      detailPanel,
+      seatingContainer.nextSibling
+    );
+  },
+
+  // Selection last announced to screen readers
+  announcedSelection: null,
+
+  // Announce a new selection through the live region. The details panel
+  // is redrawn on every change, so only changes of selection are read.
+  announceSelection(selectedSeat) {
+    const key = selectedSeat ? JSON.stringify(selectedSeat) : null;
+    if (key === this.announcedSelection) return;
+    this.announcedSelection = key;
+    if (!selectedSeat) return;
+
+    let description;
+    if (selectedSeat.rows) {
+      description = `${selectedSeat.accountName}, ${
+        selectedSeat.seatCount
+      } seats in rows ${selectedSeat.rows
+        .map((row) => row.rowLabel)
+        .join(" and ")}`;
+    } else if (selectedSeat.isConnected) {
+      const seatNumbers =
+        selectedSeat.allSeatNumbers ||
+        DataService.getActualSeats(
+          selectedSeat.row,
+          selectedSeat.startSeat,
+          selectedSeat.endSeat
+        );
+      description = `${selectedSeat.accountName}, row ${
+        selectedSeat.row
+      } seats ${DataService.formatSeatRanges([...seatNumbers])}, ${
+        selectedSeat.seatCount
+      } seats`;
+    } else {
+      description = [
+        `Row ${selectedSeat.row} seat ${selectedSeat.seatNumber}`,
+        selectedSeat.account,
+      ]
+        .filter(Boolean)
+        .join(", ");
+    }
+
+    const status = SEAT_STATUSES[selectedSeat.status].label.toLowerCase();
+    document.getElementById(
+      "seat-announcer"
+    ).textContent = `Selected ${description}, ${status}`;
+  },
+
+  // Update the seating map with data using requestAnimationFrame for better performance
+  updateSeatingMap() {
+    Logger.log(
+      "Updating seating map with processed data:",
+      AppState.processedData
+    );
+
+    this.syncFilterControls();
+
+    // Batch DOM operations for better performance
+    requestAnimationFrame(() => {
+      const renderStart = performance.now();
+
+      // Seats can be replaced below; keyboard focus moves to the new ones
+      const hadFocus = document
+        .querySelector(".venue-layout")
+        .contains(document.activeElement);
+
+      // Rebuild the layout when switching to another venue
+      if (this.renderedVenueId !== AppState.selectedVenue) {
+        this.renderVenueLayout();
+        document.querySelector(".venue-scroll-container").scrollLeft = 0;
+      }
+
+      this.renderSeatGroups(
+        AppState.processedData,
+        document.querySelector(".app-container .seating-container")
+      );
+
+      // Mark seats in the booking cart for the current view
+      document
+        .querySelectorAll(".seat.in-cart, .seat.selecting")
+        .forEach((seat) => seat.classList.remove("in-cart", "selecting"));
+      AppState.cart.forEach((entry) => {
+        if (
+          entry.venueId === AppState.selectedVenue &&
+          entry.day === AppState.selectedDay &&
+          entry.event === AppState.selectedEvent
+        ) {
+          const seatEl = document.querySelector(
+            `.seat[data-seat-id="${entry.rowLabel}${entry.seatNumber}"]`
+          );
+          if (seatEl) {
+            seatEl.classList.add("in-cart");
+          }
+        }
+      });
+
+      // Highlight the account shown in the account view
+      const accountPanel = document.getElementById("account-panel");
+      document
+        .querySelectorAll(".venue-layout [data-account], .account-focus")
+        .forEach((seat) => {
+          seat.classList.toggle(
+            "account-focus",
+            !accountPanel.hidden &&
+              !!AppState.selectedAccount &&
+              seat.getAttribute("data-account") === AppState.selectedAccount
+          );
+        });
+
+      this.markColorMode();
+      this.markMultiRowBookings();
+      this.markSelectedSeat();
+      this.highlightSearchMatches();
+      this.highlightDataIssues();
+
+      // Highlight best-available suggestions for the current view
+      document
+        .querySelectorAll(".seat.suggested")
+        .forEach((seat) => seat.classList.remove("suggested"));
+      const suggestions = AppState.seatSuggestions;
+      if (
+        suggestions &&
+        suggestions.venueId === AppState.selectedVenue &&
+        suggestions.day === AppState.selectedDay &&
+        suggestions.event === AppState.selectedEvent
+      ) {
+        suggestions.blocks.forEach((block) => {
+          block.seatNumbers.forEach((seatNumber) => {
+            const seatEl = document.querySelector(
+              `.seat[data-seat-id="${block.rowLabel}${seatNumber}"]`
+            );
+            if (seatEl) {
+              seatEl.classList.add("suggested");
+            }
+          });
+        });
+      }
+
+      this.markLiveChanges();
+      this.markRemoteSelections();
+      this.updateSeatAccessibility(hadFocus);
+
+      // Update seat details if a seat is selected
+      if (AppState.selectedSeat) {
+        this.updateSeatDetails();
+      }
+
+      // Select the group from a link once it is on the map
+      const pendingSelection = UrlState.pendingSelection;
+      if (pendingSelection) {
+        UrlState.pendingSelection = null;
+        AppState.withoutHistory(() =>
+          this.selectGroup(pendingSelection.opportunityId, pendingSelection.row)
+        );
+      }
+
+      // Let tools such as benchmark.html time the update
+      document.querySelector(".venue-layout").dispatchEvent(
+        new CustomEvent("seatmap:rendered", {
+          detail: { duration: performance.now() - renderStart },
+        })
+      );
+    });
+  },
+
+  // "seat 64" or "seats 64-68"
+  describeSeatRange(startSeat, endSeat) {
+    return startSeat === endSeat
+      ? `seat ${startSeat}`
+      : `seats ${startSeat}-${endSeat}`;
+  },
+
+  // Row and seat numbers covered by a seat or connected seats element
+  getCellRange(cell) {
+    if (cell.classList.contains("connected-seats")) {
+      return {
+        rowLabel: cell.getAttribute("data-row"),
+        startSeat: parseInt(cell.getAttribute("data-start-seat")),
+        endSeat: parseInt(cell.getAttribute("data-end-seat")),
+      };
+    }
+    const rowLabel = cell.getAttribute("data-row");
+    const seatNumber = parseInt(
+      cell.getAttribute("data-seat-id").slice(rowLabel.length)
+    );
+    return {
+      rowLabel: rowLabel,
+      startSeat: seatNumber,
+      endSeat: seatNumber,
+    };
+  },
+
+  // Blocks of a booking on both sides of a stairway or pillar share a key,
+  // as they are selected together by a click
+  getBookingKey(cell) {
+    const opportunityId = cell.getAttribute("data-opportunity-id");
+    return opportunityId
+      ? `${opportunityId}|${cell.getAttribute("data-row")}|${cell.getAttribute(
+          "data-status"
+        )}`
+      : null;
+  },
+
+  // Number of blocks and seats of every booking on the map, by booking key
+  getBookingSizes(cells) {
+    const sizes = new Map();
+    cells.forEach((cell) => {
+      const key = this.getBookingKey(cell);
+      if (!key) return;
+      const { rowLabel, startSeat, endSeat } = this.getCellRange(cell);
+      const size = sizes.get(key) || { blockCount: 0, seatCount: 0 };
+      size.blockCount++;
+      size.seatCount += DataService.getActualSeats(
+        rowLabel,
+        startSeat,
+        endSeat
+      ).length;
+      sizes.set(key, size);
+    });
+    return sizes;
+  },
+
+  // Accessible name of a seat cell, e.g. "Row D seat 64, sold to Acme
+  // Corporation, part of 5-seat booking"
+  getSeatLabel(cell, bookingSizes) {
+    const { rowLabel, startSeat, endSeat } = this.getCellRange(cell);
+    const parts = [
+      `Row ${rowLabel} ${this.describeSeatRange(startSeat, endSeat)}`,
+    ];
+
+    const status = cell.getAttribute("data-status");
+    if (status) {
+      // Connected seats without an account are named after their status
+      const account = cell.getAttribute("data-account");
+      const statusText = {
+        sold: "sold to",
+        held: "held for",
+        comp: "comp for",
+      }[status];
+      parts.push(
+        account && statusText && account !== SEAT_STATUSES[status].label
+          ? `${statusText} ${account}`
+          : SEAT_STATUSES[status].label.toLowerCase()
+      );
+
+      const linkKey = cell.getAttribute("data-link-key");
+      const booking =
+        linkKey &&
+        AppState.multiRowBookings.find((entry) => entry.key === linkKey);
+      if (booking) {
+        parts.push(
+          `part of ${booking.seatCount}-seat booking in rows ${booking.rows
+            .map((row) => row.rowLabel)
+            .join(" and ")}`
+        );
+      } else if (startSeat !== endSeat) {
+        const booking = (bookingSizes &&
+          bookingSizes.get(this.getBookingKey(cell))) || {
+          blockCount: 1,
+          seatCount: DataService.getActualSeats(rowLabel, startSeat, endSeat)
+            .length,
+        };
+        parts.push(
+          booking.blockCount > 1
+            ? `part of ${booking.seatCount}-seat booking`
+            : `${booking.seatCount}-seat booking`
+        );
+      }
+    } else {
+      parts.push("available");
+      if (cell.classList.contains("in-cart")) {
+        parts.push("selected for booking");
+      }
+      if (cell.classList.contains("suggested")) {
+        parts.push("best available");
+      }
+      const selectedBy = cell.getAttribute("data-selected-by");
+      if (selectedBy) {
+        parts.push(`being selected by ${selectedBy}`);
+      }
+    }
+
+    if (cell.classList.contains("live-change")) {
+      const changedBy = cell.getAttribute("data-changed-by");
+      parts.push(changedBy ? `just changed by ${changedBy}` : "just changed");
+    }
+
+    if (cell.classList.contains("data-issue")) {
+      parts.push("has a data issue");
+    }
+
+    return parts.join(", ");
+  },
+
+  // Seat cells of a row from left to right, across all sections
+  getRowCells(rowLabel) {
+    return Array.from(
+      document.querySelectorAll(
+        `.venue-layout .row-${rowLabel.toLowerCase()} > .seat, .venue-layout .row-${rowLabel.toLowerCase()} > .connected-seats`
+      )
+    );
+  },
+
+  // The cell in a row covering a seat number, or the closest one
+  findNearestCell(rowLabel, seatNumber) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.getRowCells(rowLabel).forEach((cell) => {
+      const { startSeat, endSeat } = this.getCellRange(cell);
+      const distance = Math.max(
+        startSeat - seatNumber,
+        seatNumber - endSeat,
+        0
+      );
+      if (distance < nearestDistance) {
+        nearest = cell;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  },
+
+  // Seat that has the keyboard focus, or gets it when tabbing into the map
+  focusedCell: null,
+
+  // Name every seat cell, mark the selected ones and keep a single cell
+  // in the tab order (roving tabindex)
+  updateSeatAccessibility(hadFocus) {
+    const venueLayout = document.querySelector(".venue-layout");
+    venueLayout.setAttribute(
+      "aria-label",
+      `Seats, ${VenueLayout.venue.name}, ${AppState.selectedDay}, ${AppState.selectedEvent}`
+    );
+
+    const cells = venueLayout.querySelectorAll(".seat, .connected-seats");
+    const bookingSizes = this.getBookingSizes(
+      venueLayout.querySelectorAll(".connected-seats")
+    );
+    // Only touch attributes that changed, so unchanged seats are not
+    // announced again or re-rendered
+    const setAttribute = (cell, name, value) => {
+      if (cell.getAttribute(name) !== value) {
+        cell.setAttribute(name, value);
+      }
+    };
+    cells.forEach((cell) => {
+      setAttribute(cell, "aria-label", this.getSeatLabel(cell, bookingSizes));
+      setAttribute(
+        cell,
+        "aria-selected",
+        String(cell.classList.contains("active"))
+      );
+      setAttribute(cell, "tabindex", "-1");
+    });
+
+    const focusedCell = this.focusedCell;
+    const current =
+      (focusedCell &&
+        this.findNearestCell(focusedCell.rowLabel, focusedCell.seatNumber)) ||
+      cells[0];
+    if (current) {
+      current.tabIndex = 0;
+      if (hadFocus) {
+        current.focus({ preventScroll: true });
+      }
+    }
+  },
+
+  // Move the keyboard focus to a seat cell
+  focusCell(cell) {
+    document
+      .querySelectorAll('.venue-layout [tabindex="0"]')
+      .forEach((el) => (el.tabIndex = -1));
+    cell.tabIndex = 0;
+    cell.focus();
+  },
+
+  // Arrow keys move between seats: left and right along the row, skipping
+  // pillars and jumping across stairways, up and down to the seat in the
+  // next row. Enter or Space selects a booking, or adds and removes an
+  // available seat in booking mode.
+  setupKeyboardNavigation() {
+    const venueLayout = document.querySelector(".venue-layout");
+
+    venueLayout.addEventListener("focusin", (event) => {
+      const cell = event.target.closest(".seat, .connected-seats");
+      if (!cell) return;
+      const { rowLabel, startSeat } = this.getCellRange(cell);
+      this.focusedCell = { rowLabel: rowLabel, seatNumber: startSeat };
+    });
+
+    venueLayout.addEventListener("keydown", (event) => {
+      const cell = event.target.closest(".seat, .connected-seats");
+      if (!cell || event.ctrlKey || event.metaKey || event.altKey) return;
+
+      const { rowLabel, startSeat } = this.getCellRange(cell);
+      const rowCells = this.getRowCells(rowLabel);
+      const index = rowCells.indexOf(cell);
+      const rows = VenueLayout.getRows();
+      const rowIndex = rows.indexOf(rowLabel);
+      let target = null;
+
+      switch (event.key) {
+        case "ArrowLeft":
+          target = rowCells[index - 1];
+          break;
+        case "ArrowRight":
+          target = rowCells[index + 1];
+          break;
+        case "ArrowUp":
+          target =
+            rowIndex > 0 && this.findNearestCell(rows[rowIndex - 1], startSeat);
+          break;
+        case "ArrowDown":
+          target =
+            rowIndex < rows.length - 1 &&
+            this.findNearestCell(rows[rowIndex + 1], startSeat);
+          break;
+        case "Home":
+          target = rowCells[0];
+          break;
+        case "End":
+          target = rowCells[rowCells.length - 1];
+          break;
+        case "Enter":
+        case " ":
+          event.preventDefault();
+          this.activateCell(cell);
+          return;
+        default:
+          return;
+      }
+
+      event.preventDefault();
+      if (target) {
+        this.focusCell(target);
+      }
+    });
+  },
+
+  // Keyboard equivalent of clicking a seat cell
+  activateCell(cell) {
+    if (cell.hasAttribute("data-status")) {
+      cell.click();
+      return;
+    }
+
+    if (!AppState.bookingMode) return;
+    const { rowLabel, startSeat } = this.getCellRange(cell);
+    if (AppState.isInCart(rowLabel, startSeat)) {
+      AppState.removeFromCart([AppState.createCartEntry(rowLabel, startSeat)]);
+    } else {
+      AppState.addToCart(rowLabel, [startSeat]);
+    }
+  },
+
+  // Select the first group of an opportunity in a row of the current view,
+  // as if it was clicked
+  selectGroup(opportunityId, rowLabel) {
+    const element = Array.from(
+      document.querySelectorAll(
+        ".venue-layout .seat[data-status], .venue-layout .connected-seats"
+      )
+    ).find(
+      (el) =>
+        el.getAttribute("data-opportunity-id") === opportunityId &&
+        el.getAttribute("data-row") === rowLabel
+    );
+    if (element) {
+      element.click();
+    }
+  },
+
+  // Color booked seats by the selected color mode and highlight the
+  // seats of the focused legend entry
+  markColorMode() {
+    const venueLayout = document.querySelector(".venue-layout");
+    venueLayout.querySelectorAll(".color-coded, .color-focus").forEach((el) => {
+      el.classList.remove("color-coded", "color-focus");
+      el.style.removeProperty("--group-color");
+      el.style.removeProperty("--group-border");
+    });
+
+    const mode = COLOR_MODES[AppState.colorMode];
+    let hasFocus = false;
+    if (mode.field) {
+      // Only values listed in the legend are colored
+      const values = new Set(
+        DataService.getColorGroups(AppState.processedData, mode.field).map(
+          ({ value }) => value
+        )
+      );
+      venueLayout
+        .querySelectorAll(".seat[data-status], .connected-seats")
+        .forEach((el) => {
+          const value = el.getAttribute(mode.attribute);
+          if (el.dataset.status === "blocked" || !values.has(value)) return;
+
+          const color = hashColor(value);
+          el.classList.add("color-coded");
+          el.style.setProperty("--group-color", color.background);
+          el.style.setProperty("--group-border", color.border);
+          if (value === AppState.colorFocus) {
+            el.classList.add("color-focus");
+            hasFocus = true;
+          }
+        });
+    }
+    venueLayout.classList.toggle("has-color-focus", hasFocus);
+  },
+
+  // List the values colored in the current view with their swatches.
+  // Clicking an entry highlights its seats.
+  updateColorLegend() {
+    const legend = document.getElementById("color-legend");
+    const mode = COLOR_MODES[AppState.colorMode];
+    const groups = mode.field
+      ? DataService.getColorGroups(AppState.processedData, mode.field)
+      : [];
+
+    legend.hidden = !mode.field;
+    if (!mode.field) {
+      legend.innerHTML = "";
+      return;
+    }
+
+    let html = `<span class="legend-title">${mode.label}:</span>`;
+    if (groups.length === 0) {
+      html += "<span>No bookings in this view</span>";
+    }
+    groups.forEach(({ value, seatCount }) => {
+      const color = hashColor(value);
+      html += `<button type="button" class="legend-item legend-entry" data-value="${escapeHtml(
+        value
+      )}" aria-pressed="${value === AppState.colorFocus}" title="${seatCount} ${
+        seatCount === 1 ? "seat" : "seats"
+      }"><span class="legend-color" style="background-color: ${
+        color.background
+      }; border-color: ${color.border}"></span>${escapeHtml(value)}</button>`;
+    });
+    legend.innerHTML = html;
+  },
+
+  // Outline each booking that spans several rows in a shared color, so
+  // its blocks read as one booking
+  markMultiRowBookings() {
+    document.querySelectorAll("[data-link-key]").forEach((el) => {
+      el.classList.remove("linked-booking");
+      el.removeAttribute("data-link-key");
+      el.style.removeProperty("--link-color");
+    });
+
+    AppState.multiRowBookings.forEach((booking, index) => {
+      booking.rows.forEach((row) => {
+        this.getSeatElements(row.rowLabel, row.seatNumbers).forEach((el) => {
+          el.classList.add("linked-booking");
+          el.setAttribute("data-link-key", booking.key);
+          el.style.setProperty(
+            "--link-color",
+            `var(--color-link-${(index % 4) + 1})`
+          );
+        });
+      });
+    });
+  },
+
+  // Keep the selected seat or group marked when the map is redrawn
+  markSelectedSeat() {
+    document
+      .querySelectorAll(".venue-layout .active")
+      .forEach((el) => el.classList.remove("active"));
+
+    const selectedSeat = AppState.selectedSeat;
+    if (!selectedSeat) return;
+
+    let elements = [];
+    if (selectedSeat.linkKey) {
+      elements = document.querySelectorAll(
+        `[data-link-key=${cssString(selectedSeat.linkKey)}]`
+      );
+    } else if (selectedSeat.isConnected) {
+      elements = document.querySelectorAll(
+        `.connected-seats[data-opportunity-id=${cssString(
+          selectedSeat.opportunityId
+        )}][data-row=${cssString(selectedSeat.row)}][data-status=${cssString(
+          selectedSeat.status
+        )}]`
+      );
+    } else if (selectedSeat.seatId) {
+      elements = document.querySelectorAll(
+        `.seat[data-seat-id="${selectedSeat.seatId}"][data-status]`
+      );
+    }
+    elements.forEach((el) => el.classList.add("active"));
+  },
+
+  // Cell last rendered into each map element, see applyRowCells
+  renderedCells: new WeakMap(),
+
+  // Render the seat groups of a venue's processed data into the rows of a
+  // seating container. Each row's cells are worked out from the data and
+  // compared with what is on the page, so only cells that changed are
+  // touched.
+  renderSeatGroups(processedData, container) {
+    const bookedCells = this.getBookedCells(processedData);
+    const rows = VenueLayout.getRows();
+
+    VenueLayout.venue.layout
+      .filter((block) => block.type === "section")
+      .forEach((block) => {
+        const sectionElement = container.querySelector(
+          `.seat-section[data-section-id="${block.id}"]`
+        );
+        if (!sectionElement) return;
+
+        Array.from(sectionElement.children).forEach((rowElement, index) => {
+          const rowLabel = rows[index];
+          this.applyRowCells(
+            rowElement,
+            this.buildRowCells(block, rowLabel, bookedCells.get(rowLabel))
+          );
+        });
+      });
+  },
+
+  // Cells for the booked seats of each row, keyed by row label and the
+  // first seat number of the cell. Connected seats are split where they
+  // cross a stairway or pillar.
+  getBookedCells(processedData) {
+    const bookedCells = new Map();
+
+    (processedData || []).forEach((row) => {
+      const rowCells = new Map();
+      bookedCells.set(row.rowLabel, rowCells);
+
+      row.seatGroups.forEach((group) => {
+        if (!group.isConnected) {
+          rowCells.set(
+            group.startSeat,
+            this.describeBookedSeat(row.rowLabel, group)
+          );
+          return;
+        }
+
+        const segments = this.findSeatSegments(
+          row.rowLabel,
+          group.startSeat,
+          group.endSeat
+        );
+        segments.forEach((segment) => {
+          rowCells.set(
+            segment.start,
+            this.describeConnectedSeats(
+              row.rowLabel,
+              group,
+              segment,
+              segments.length > 1
+            )
+          );
+        });
+      });
+    });
+
+    return bookedCells;
+  },
+
+  // A single booked seat
+  describeBookedSeat(rowLabel, group) {
+    return {
+      key: `seat:${rowLabel}${group.startSeat}`,
+      className: `seat ${group.status}`,
+      attributes: {
+        role: "gridcell",
+        "data-seat-id": `${rowLabel}${group.startSeat}`,
+        "data-row": rowLabel,
+        "data-status": group.status,
+        "data-hold-expiry": group.holdExpiry,
+        title: [group.accountName, SEAT_STATUSES[group.status].label]
+          .filter(Boolean)
+          .join(" - "),
+        "data-sf-id": group.recordIds[0] || "",
+        "data-account": group.accountName || "",
+        "data-event-type": group.event,
+        "data-day": group.day,
+        "data-opportunity-id": group.opportunityId || "",
+        "data-owner": group.owner || "",
+        "data-category": group.category || "",
+      },
+      text: String(group.startSeat),
+    };
+  },
+
+  // One segment of a connected seat group, drawn as a single block
+  describeConnectedSeats(rowLabel, group, segment, isSplit) {
+    // Blocked seats may not belong to an account
+    const groupName = group.accountName || SEAT_STATUSES[group.status].label;
+    const statusLabel = SEAT_STATUSES[group.status].label;
+
+    const attributes = {
+      role: "gridcell",
+      "data-status": group.status,
+      "data-hold-expiry": group.holdExpiry,
+      "data-row": rowLabel,
+      "data-start-seat": segment.start,
+      "data-end-seat": segment.end,
+      "data-account": groupName,
+      "data-day": group.day,
+      "data-event-type": group.event,
+      "data-opportunity-id": group.opportunityId || "",
+      "data-owner": group.owner || "",
+      "data-category": group.category || "",
+      title: `${groupName} (${segment.start}-${segment.end}) - ${statusLabel}`,
+    };
+
+    // Segments that are part of a split group keep the whole group's range
+    if (isSplit) {
+      attributes["data-split-group"] = "true";
+      attributes["data-original-start"] = group.startSeat;
+      attributes["data-original-end"] = group.endSeat;
+      attributes.title = `${groupName} (Part of ${group.startSeat}-${group.endSeat}) - ${statusLabel}`;
+    }
+
+    return {
+      key: `block:${rowLabel}${segment.start}-${segment.end}|${group.opportunityId}|${group.status}`,
+      className: `connected-seats ${group.status}`,
+      attributes: attributes,
+      span: segment.end - segment.start + 1,
+      name: groupName,
+    };
+  },
+
+  // Every cell of a row in a section from left to right: free seats,
+  // booked cells, pillars and gaps. Each cell has a key naming the element
+  // it can reuse.
+  buildRowCells(block, rowLabel, bookedCells = new Map()) {
+    const cells = [];
+    let coveredUntil = -Infinity;
+
+    VenueLayout.getRowItems(block, rowLabel).forEach((item) => {
+      if (item.type === "pillar") {
+        cells.push({
+          key: `pillar:${rowLabel}${item.start}`,
+          className: "pillar",
+          attributes: {
+            role: "gridcell",
+            "data-row": rowLabel,
+            "data-start-seat": item.start,
+            "data-end-seat": item.end,
+            "aria-label": `Row ${rowLabel} ${this.describeSeatRange(
+              item.start,
+              item.end
+            )}, pillar`,
+          },
+          span: item.end - item.start + 1,
+          text: "PILLAR",
+        });
+      } else if (item.type === "gap") {
+        cells.push({
+          key: `gap:${rowLabel}${item.start}`,
+          className: "seat-gap",
+          attributes: { "aria-hidden": "true" },
+          span: item.end - item.start + 1,
+          text: "",
+        });
+      } else if (item.seatNumber > coveredUntil) {
+        const bookedCell = bookedCells.get(item.seatNumber);
+        if (bookedCell) {
+          cells.push(bookedCell);
+          coveredUntil = item.seatNumber + (bookedCell.span || 1) - 1;
+        } else {
+          cells.push({
+            key: `seat:${rowLabel}${item.seatNumber}`,
+            className: "seat",
+            attributes: {
+              role: "gridcell",
+              "data-seat-id": `${rowLabel}${item.seatNumber}`,
+              "data-row": rowLabel,
+            },
+            text: String(item.seatNumber),
+          });
+        }
+      }
+    });
+
+    return cells;
+  },
+
+  // Make a row element show a list of cells. Elements are reused by key
+  // and only attributes, classes and text that changed are updated, so
+  // classes added by other features (e.g. search matches) stay until
+  // they are cleared by their own code.
+  applyRowCells(rowElement, cells) {
+    const existing = new Map();
+    Array.from(rowElement.children).forEach((el) => {
+      const rendered = this.renderedCells.get(el);
+      if (rendered) {
+        existing.set(rendered.key, el);
+      } else {
+        el.remove();
+      }
+    });
+
+    cells.forEach((cell, index) => {
+      let el = existing.get(cell.key);
+      if (el) {
+        existing.delete(cell.key);
+      } else {
+        el = document.createElement("div");
+      }
+      this.patchCell(el, cell);
+
+      const current = rowElement.children[index];
+      if (current !== el) {
+        rowElement.insertBefore(el, current || null);
+      }
+    });
+
+    existing.forEach((el) => el.remove());
+  },
+
+  // Update an element from the cell last rendered into it
+  patchCell(el, cell) {
+    const previous = this.renderedCells.get(el) || {
+      className: "",
+      attributes: {},
+    };
+
+    if (previous.className !== cell.className) {
+      el.classList.remove(...previous.className.split(" ").filter(Boolean));
+      el.classList.add(...cell.className.split(" "));
+    }
+
+    Object.keys(previous.attributes).forEach((name) => {
+      if (!(name in cell.attributes)) {
+        el.removeAttribute(name);
+      }
+    });
+    Object.keys(cell.attributes).forEach((name) => {
+      const value = String(cell.attributes[name]);
+      if (String(previous.attributes[name]) !== value) {
+        el.setAttribute(name, value);
+      }
+    });
+
+    if (previous.span !== cell.span) {
+      el.style.gridColumn = cell.span ? `span ${cell.span}` : "";
+    }
+
+    if (previous.text !== cell.text || previous.name !== cell.name) {
+      if (cell.name !== undefined) {
+        // Connected seats show the account name
+        const nameElement = document.createElement("div");
+        nameElement.className = "account-name";
+        nameElement.textContent = cell.name;
+        el.replaceChildren(nameElement);
+      } else {
+        el.textContent = cell.text;
+      }
+    }
+
+    this.renderedCells.set(el, cell);
+  },
+
+  // Find valid seat segments that don't cross staircases or pillars
+  findSeatSegments(rowLabel, startSeat, endSeat) {
+    const segments = [];
+    let currentSegment = null;
+    let currentSection = null;
+
+    for (let i = startSeat; i <= endSeat; i++) {
+      if (!VenueLayout.hasSeat(rowLabel, i)) continue;
+
+      const section = VenueLayout.getSection(rowLabel, i);
+
+      if (
+        currentSegment &&
+        section === currentSection &&
+        i === currentSegment.end + 1
+      ) {
+        // Extend current segment if seats are consecutive in the same section
+        currentSegment.end = i;
+      } else {
+        // Start a new segment at a gap, pillar or section boundary
+        if (currentSegment) {
+          segments.push(currentSegment);
+        }
+        currentSegment = { start: i, end: i };
+        currentSection = section;
+      }
+    }
+
+    // Add the last segment
+    if (currentSegment) {
+      segments.push(currentSegment);
+    }
+
+    return segments;
+  },
+
+  // Update seat details display
+  updateSeatDetails() {
+    const detailContent = document.getElementById("seat-detail-content");
+    const selectedSeat = AppState.selectedSeat;
+
+    this.announceSelection(selectedSeat);
+
+    if (!selectedSeat) {
+      detailContent.innerHTML = "<p>Select a group to view details</p>";
+      return;
+    }
+
+    let html = "";
+
+    if (selectedSeat.rows) {
+      // Booking over several rows: seats per row and the combined count
+      html += `<div class="detail-row"><span class="detail-label">Account:</span>${escapeHtml(
+        selectedSeat.accountName
+      )}</div>`;
+      selectedSeat.rows.forEach((row) => {
+        html += `<div class="detail-row"><span class="detail-label">Row ${escapeHtml(
+          row.rowLabel
+        )}:</span>${DataService.formatSeatRanges([...row.seatNumbers])} (${
+          row.seatNumbers.length
+        } seats)</div>`;
+      });
+      html += `<div class="detail-row"><span class="detail-label">Total:</span>${selectedSeat.seatCount} seats in ${selectedSeat.rows.length} rows</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Day:</span>${escapeHtml(
+        selectedSeat.day
+      )}</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Event Type:</span>${escapeHtml(
+        selectedSeat.eventType
+      )}</div>`;
+      html += this.getStatusDetails(selectedSeat);
+      html += `<div class="detail-row"><span class="detail-label">Opportunity ID:</span>${escapeHtml(
+        selectedSeat.opportunityId
+      )}</div>`;
+    } else if (selectedSeat.isConnected) {
+      // Connected seats details
+      html += `<div class="detail-row"><span class="detail-label">Account:</span>${escapeHtml(
+        selectedSeat.accountName
+      )}</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Row:</span>${escapeHtml(
+        selectedSeat.row
+      )}</div>`;
+
+      let actualSeats = [];
+      let seatRanges = "";
+      let actualSeatCount = 0;
+
+      // If this is a multi-segment booking (spanning across stairway or section)
+      if (selectedSeat.isMultiSegment && selectedSeat.allSeatNumbers) {
+        // Use the pre-calculated seat numbers
+        actualSeats = selectedSeat.allSeatNumbers;
+        actualSeatCount = actualSeats.length;
+
+        // Format seat display (e.g., "38-39, 42-43" instead of "38-43")
+        seatRanges = DataService.formatSeatRanges(actualSeats);
+      }
+      // For split groups that weren't handled by the click handler
+      else if (
+        selectedSeat.opportunityId &&
+        document.querySelector(
+          `.connected-seats[data-opportunity-id=${cssString(
+            selectedSeat.opportunityId
+          )}][data-split-group="true"]`
+        )
+      ) {
+        // Find all connected seats with the same opportunity ID
+        const allConnectedSeats = document.querySelectorAll(
+          `.connected-seats[data-opportunity-id=${cssString(
+            selectedSeat.opportunityId
+          )}]`
+        );
+
+        // Collect all seat numbers from all segments
+        const allSeatNumbers = [];
+
+        allConnectedSeats.forEach((connectedSeat) => {
+          const segmentRow = connectedSeat.getAttribute("data-row");
+
+          // Only include segments from the same row
+          if (segmentRow === selectedSeat.row) {
+            const segmentStart = parseInt(
+              connectedSeat.getAttribute("data-start-seat")
+            );
+            const segmentEnd = parseInt(
+              connectedSeat.getAttribute("data-end-seat")
+            );
+
+            // Get actual seats for this segment (excluding pillars)
+            const segmentSeats = DataService.getActualSeats(
+              segmentRow,
+              segmentStart,
+              segmentEnd
+            );
+            allSeatNumbers.push(...segmentSeats);
+          }
+        });
+
+        // Sort and deduplicate seat numbers
+        actualSeats = [...new Set(allSeatNumbers)].sort((a, b) => a - b);
+        actualSeatCount = actualSeats.length;
+
+        // Format seat display (e.g., "38-39, 42-43" instead of "38-43")
+        seatRanges = DataService.formatSeatRanges(actualSeats);
+      } else {
+        // Regular connected seats (not split)
+        actualSeats = DataService.getActualSeats(
+          selectedSeat.row,
+          selectedSeat.startSeat,
+          selectedSeat.endSeat
+        );
+        actualSeatCount = actualSeats.length;
+
+        // Format seat display (e.g., "38-39, 42-43" instead of "38-43")
+        seatRanges = DataService.formatSeatRanges(actualSeats);
+      }
+
+      html += `<div class="detail-row"><span class="detail-label">Seats:</span>${seatRanges} (${actualSeatCount} seats)</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Day:</span>${escapeHtml(
+        selectedSeat.day
+      )}</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Event Type:</span>${escapeHtml(
+        selectedSeat.eventType
+      )}</div>`;
+
+      html += this.getStatusDetails(selectedSeat);
+
+      if (selectedSeat.opportunityId) {
+        html += `<div class="detail-row"><span class="detail-label">Opportunity ID:</span>${escapeHtml(
+          selectedSeat.opportunityId
+        )}</div>`;
+      }
+    } else {
+      // Individual seat details
+      if (selectedSeat.account) {
+        html += `<div class="detail-row"><span class="detail-label">Account:</span>${escapeHtml(
+          selectedSeat.account
+        )}</div>`;
+      }
+      html += `<div class="detail-row"><span class="detail-label">Row:</span>${escapeHtml(
+        selectedSeat.row
+      )}</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Seat:</span>${selectedSeat.seatNumber}</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Day:</span>${escapeHtml(
+        selectedSeat.day
+      )}</div>`;
+      html += `<div class="detail-row"><span class="detail-label">Event Type:</span>${escapeHtml(
+        selectedSeat.eventType
+      )}</div>`;
+      html += this.getStatusDetails(selectedSeat);
+
+      if (selectedSeat.opportunityId) {
+        html += `<div class="detail-row"><span class="detail-label">Opportunity ID:</span>${escapeHtml(
+          selectedSeat.opportunityId
+        )}</div>`;
+      }
+    }
+
+    detailContent.innerHTML = html;
+  },
+
+  // Status and hold expiry rows for the detail panel
+  getStatusDetails(selectedSeat) {
+    const status = SEAT_STATUSES[selectedSeat.status] || SEAT_STATUSES.sold;
+    let html = `<div class="detail-row"><span class="detail-label">Status:</span><span class="status-badge ${selectedSeat.status}">${status.label}</span></div>`;
+
+    if (selectedSeat.holdExpiry) {
+      html += `<div class="detail-row"><span class="detail-label">Hold Expires:</span>${escapeHtml(
+        this.formatDateTime(selectedSeat.holdExpiry)
+      )}</div>`;
+    }
+
+    return html;
+  },
+
+  // Format a Salesforce date/time value for display
+  formatDateTime(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toLocaleString();
+  },
+};
@@ -0,0 +1,132 @@
+// url-state.js - URL state module
+//
+// Keeps the view, selected group and search in the page URL so a link
+// opens the same view, and back/forward move between views
+
+import { Logger } from "./utils.js";
+import { AppState } from "./app-state.js";
+
+export const UrlState = {
+  // Query parameter for each part of the state. Other parameters, such
+  // as the data source, are left alone.
+  params: {
+    venueId: "venue",
+    day: "day",
+    event: "event",
+    opportunityId: "opportunity",
+    row: "row",
+    query: "q",
+  },
+
+  // Group from the URL that is selected once the map has been drawn. The
+  // selection is not an undo step.
+  pendingSelection: null,
+
+  // Whether a URL update is already scheduled
+  updatePending: false,
+
+  // Set when the browser doesn't let the page change its URL
+  disabled: false,
+
+  read(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const state = {};
+    Object.keys(this.params).forEach((key) => {
+      state[key] = params.get(this.params[key]) || "";
+    });
+    return state;
+  },
+
+  // The state shown on the page. A group still waiting to be selected
+  // counts as selected.
+  getCurrentState() {
+    const selectedSeat = AppState.selectedSeat;
+    let selection = { opportunityId: "", row: "" };
+    if (this.pendingSelection) {
+      selection = this.pendingSelection;
+    } else if (selectedSeat && selectedSeat.opportunityId) {
+      selection = {
+        opportunityId: selectedSeat.opportunityId,
+        row: selectedSeat.rows
+          ? selectedSeat.rows[0].rowLabel
+          : selectedSeat.row,
+      };
+    }
+
+    return {
+      venueId: AppState.selectedVenue,
+      day: AppState.selectedDay,
+      event: AppState.selectedEvent,
+      opportunityId: selection.opportunityId,
+      row: selection.row,
+      query: AppState.searchQuery,
+    };
+  },
+
+  toUrl(state) {
+    const params = new URLSearchParams(window.location.search);
+    Object.keys(this.params).forEach((key) => {
+      if (state[key]) {
+        params.set(this.params[key], state[key]);
+      } else {
+        params.delete(this.params[key]);
+      }
+    });
+    const search = params.toString();
+    return `${window.location.pathname}${search ? `?${search}` : ""}${
+      window.location.hash
+    }`;
+  },
+
+  // Add a history entry when the state no longer matches the URL.
+  // Changes made together, e.g. jumping to a search result, make one
+  // entry.
+  update() {
+    if (this.updatePending) return;
+    this.updatePending = true;
+
+    Promise.resolve().then(() => {
+      this.updatePending = false;
+      const state = this.getCurrentState();
+      if (JSON.stringify(state) !== JSON.stringify(this.read())) {
+        this.setUrl(state, "pushState");
+      }
+    });
+  },
+
+  // Write the state to the URL with history.pushState or replaceState.
+  // Pages opened from a file:// URL can't change their URL in some
+  // browsers; the map works without it.
+  setUrl(state, method) {
+    if (this.disabled) return;
+    try {
+      window.history[method](null, "", this.toUrl(state));
+    } catch (error) {
+      Logger.warn("Could not update the page URL:", error.message);
+      this.disabled = true;
+    }
+  },
+
+  // Show the state in the URL, e.g. after going back. The browser keeps
+  // this history, so it is not added to undo and redo.
+  restore() {
+    const state = this.read();
+    const defaultView = AppState.defaultView;
+
+    this.pendingSelection = state.opportunityId
+      ? { opportunityId: state.opportunityId, row: state.row }
+      : null;
+    AppState.withoutHistory(() => {
+      AppState.setFilters({
+        venueId: state.venueId || defaultView.venueId,
+        day: state.day || defaultView.day,
+        event: state.event || defaultView.event,
+      });
+
+      if (state.query !== AppState.searchQuery) {
+        document.getElementById("seat-search").value = state.query;
+        AppState.search(state.query);
+      }
+    });
+  },
+};
@@ -0,0 +1,59 @@
+// utils.js - Logging and small helpers shared by the modules
+
+export const Logger = {
+  isDebug: true, // Set to false in production
+
+  log(message, data) {
+    if (this.isDebug) {
+      console.log(`[SeatMap] ${message}`, data || "");
+    }
+  },
+
+  warn(message, data) {
+    console.warn(`[SeatMap] ${message}`, data || "");
+  },
+
+  error(message, error) {
+    console.error(`[SeatMap] ${message}`, error || "");
+  },
+};
+
+// Escape text from imported files before putting it in HTML
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Quote text from imported files as a value in an attribute selector,
+// e.g. `[data-row=${cssString(rowLabel)}]`
+export function cssString(text) {
+  return `"${String(text)
+    .replace(/["\\]/g, "\\$&")
+    .replace(/[\n\r\f]/g, (char) => `\\${char.charCodeAt(0).toString(16)} `)}"`;
+}
+
+// Colors for a name, picked from its hash so an account keeps the same
+// color in every view and after reloading
+export function hashColor(text) {
+  let hash = 0;
+  for (const char of String(text)) {
+    hash = (hash * 31 + char.codePointAt(0)) | 0;
+  }
+  const hue = Math.abs(hash) % 360;
+  return {
+    background: `hsl(${hue}, 70%, 82%)`,
+    border: `hsl(${hue}, 55%, 40%)`,
+  };
+}
+
+// Debounce function to prevent excessive re-rendering
+export function debounce(func, wait) {
+  let timeout;
+  return function (...args) {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => func.apply(this, args), wait);
+  };
+}
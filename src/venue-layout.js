@@ -0,0 +1,168 @@
+// venue-layout.js - Venue layout helpers
+//
+// The venue definitions in venues.js are the single source of truth for
+// sections, seats, pillars and stairways. The page hands them over with
+// setDefinitions before the app starts.
+
+export const VenueLayout = {
+  // Venue definitions by ID, e.g. VENUE_DEFINITIONS from venues.js
+  definitions: {},
+
+  // Venue definition currently in use
+  venue: null,
+
+  setDefinitions(definitions) {
+    this.definitions = definitions || {};
+    this.venue = null;
+  },
+
+  // Venue definition by ID, or null for an unknown venue
+  getVenue(venueId) {
+    return this.definitions[venueId] || null;
+  },
+
+  // Venue used for records that don't name one
+  getDefaultVenueId() {
+    return Object.keys(this.definitions)[0];
+  },
+
+  // Venue options for the venue selector
+  getVenues() {
+    return Object.values(this.definitions).map((venue) => ({
+      id: venue.id,
+      name: venue.name,
+    }));
+  },
+
+  // Switch to a venue from the definitions
+  use(venueId) {
+    const venue = this.getVenue(venueId);
+    if (!venue) {
+      throw new Error(`Unknown venue: ${venueId}`);
+    }
+    this.venue = venue;
+    return venue;
+  },
+
+  // Layout helpers bound to another venue, leaving the current venue as is
+  forVenue(venueId) {
+    return Object.assign(Object.create(this), {
+      venue: this.getVenue(venueId),
+    });
+  },
+
+  // Row labels from the top of the map to the bottom
+  getRows() {
+    return this.venue ? this.venue.rows : [];
+  },
+
+  // Seat sections from left to right
+  getSections() {
+    return this.venue
+      ? this.venue.layout.filter((block) => block.type === "section")
+      : [];
+  },
+
+  // Seat range for a row in a section, taking per-row overrides into account
+  getSectionRange(section, rowLabel) {
+    const override = section.rows && section.rows[rowLabel];
+    return {
+      start:
+        override && override.start !== undefined
+          ? override.start
+          : section.start,
+      end: override && override.end !== undefined ? override.end : section.end,
+      skip: (override && override.skip) || section.skip || [],
+    };
+  },
+
+  // Find the pillar covering a seat number, if any
+  getPillar(rowLabel, seatNumber) {
+    if (!this.venue || !this.venue.pillars) return null;
+
+    return (
+      this.venue.pillars.find(
+        (pillar) =>
+          pillar.row === rowLabel &&
+          seatNumber >= pillar.start &&
+          seatNumber <= pillar.end
+      ) || null
+    );
+  },
+
+  isPillarSeat(rowLabel, seatNumber) {
+    return this.getPillar(rowLabel, seatNumber) !== null;
+  },
+
+  // Find the section a seat number belongs to (pillar positions included)
+  getSection(rowLabel, seatNumber) {
+    return (
+      this.getSections().find((section) => {
+        const range = this.getSectionRange(section, rowLabel);
+        return (
+          seatNumber >= range.start &&
+          seatNumber <= range.end &&
+          !range.skip.includes(seatNumber)
+        );
+      }) || null
+    );
+  },
+
+  // Check if a seat exists in the layout (not a pillar, stairway or skipped number)
+  hasSeat(rowLabel, seatNumber) {
+    return (
+      this.getRows().includes(rowLabel) &&
+      this.getSection(rowLabel, seatNumber) !== null &&
+      !this.isPillarSeat(rowLabel, seatNumber)
+    );
+  },
+
+  // Check if the gap between two seats is made up only of pillar positions
+  // in the same section
+  isPillarGap(rowLabel, prev, current) {
+    if (current - prev < 2) return false;
+
+    const section = this.getSection(rowLabel, prev);
+    if (!section || section !== this.getSection(rowLabel, current)) {
+      return false;
+    }
+
+    for (let i = prev + 1; i < current; i++) {
+      if (!this.isPillarSeat(rowLabel, i)) return false;
+    }
+    return true;
+  },
+
+  // Ordered seats, pillars and gaps for a row in a section, used for rendering.
+  // Gaps keep seats aligned with the rows above and below when a row is
+  // shorter than the section or skips numbers.
+  getRowItems(section, rowLabel) {
+    const range = this.getSectionRange(section, rowLabel);
+    const first = Math.min(section.start, range.start);
+    const last = Math.max(section.end, range.end);
+    const items = [];
+
+    for (let i = first; i <= last; i++) {
+      const pillar = this.getPillar(rowLabel, i);
+      const previous = items[items.length - 1];
+
+      if (i < range.start || i > range.end || range.skip.includes(i)) {
+        // Merge consecutive missing numbers into a single gap
+        if (previous && previous.type === "gap" && previous.end === i - 1) {
+          previous.end = i;
+        } else {
+          items.push({ type: "gap", start: i, end: i });
+        }
+      } else if (pillar) {
+        // Pillars are rendered once, spanning their seat positions
+        const end = Math.min(pillar.end, range.end);
+        items.push({ type: "pillar", start: i, end: end });
+        i = end;
+      } else {
+        items.push({ type: "seat", seatNumber: i });
+      }
+    }
+
+    return items;
+  },
+};
@@ -0,0 +1,143 @@
+// synthetic-data.js - Large generated venues and bookings for benchmarking
+//
+// Used by `node mock-server.js --synthetic <seats>`. The venue and records
+// have the same shape as venues.js and data.js, and are generated from a
+// fixed seed so every run renders the same seats.
+
+const DAYS = [
+  "Day 1 - Friday",
+  "Day 2 - Saturday",
+  "Day 3 - Sunday",
+  "Day 4 - Monday",
+  "Day 5 - Tuesday",
+  "Day 6 - Wednesday",
+  "Day 7 - Thursday",
+  "Day 8 - Friday",
+  "Day 9 - Saturday",
+  "Day 10 - Sunday",
+];
+
+const EVENTS = ["Rodeo", "Evening Show"];
+
+const SECTION_COUNT = 4;
+const SEATS_PER_ROW = 100;
+const ROW_LABELS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// Small seeded random number generator (mulberry32)
+function createRandom(seed) {
+  let state = seed;
+  return function () {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A venue with about the given number of seats: up to 26 rows of four
+// sections between stairways, with a pillar in the back row of each section
+export function createVenue(seatCount) {
+  const rowCount = Math.min(
+    ROW_LABELS.length,
+    Math.max(1, Math.ceil(seatCount / SEATS_PER_ROW))
+  );
+  const sectionSize = Math.max(
+    4,
+    Math.ceil(seatCount / rowCount / SECTION_COUNT)
+  );
+  const rows = ROW_LABELS.slice(0, rowCount).split("").reverse();
+
+  const layout = [{ type: "stairway" }];
+  const pillars = [];
+  for (let i = 0; i < SECTION_COUNT; i++) {
+    const start = i * sectionSize + 1;
+    const end = start + sectionSize - 1;
+    layout.push(
+      {
+        type: "section",
+        id: `section-${i + 1}`,
+        name: `Section ${i + 1}`,
+        start: start,
+        end: end,
+      },
+      { type: "stairway" }
+    );
+
+    const pillarStart = start + Math.floor(sectionSize / 2) - 1;
+    pillars.push({ row: rows[0], start: pillarStart, end: pillarStart + 1 });
+  }
+
+  return {
+    id: "benchmark",
+    name: `Benchmark (${rowCount * sectionSize * SECTION_COUNT} seats)`,
+    rows: rows,
+    layout: layout,
+    pillars: pillars,
+  };
+}
+
+// Records for every day and event of a venue. Each section of each row is
+// filled with bookings of 1-10 seats with a few free seats between them.
+export function createRecords(venue, options = {}) {
+  const random = createRandom(options.seed || 1);
+  const accountCount = options.accountCount || 40;
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const statuses = [
+    ...Array(14).fill("Sold"),
+    ...Array(3).fill("Held"),
+    ...Array(2).fill("Comp"),
+    "Blocked",
+  ];
+
+  const isPillar = (rowLabel, seatNumber) =>
+    venue.pillars.some(
+      (pillar) =>
+        pillar.row === rowLabel &&
+        seatNumber >= pillar.start &&
+        seatNumber <= pillar.end
+    );
+
+  const records = [];
+  let bookingCount = 0;
+
+  DAYS.forEach((day) => {
+    EVENTS.forEach((event) => {
+      venue.rows.forEach((rowLabel) => {
+        venue.layout
+          .filter((block) => block.type === "section")
+          .forEach((section) => {
+            let seatNumber = section.start + Math.floor(random() * 3);
+            while (seatNumber <= section.end) {
+              const size = 1 + Math.floor(random() * 10);
+              const account = Math.floor(random() * accountCount) + 1;
+              const status = pick(statuses);
+              bookingCount++;
+
+              for (
+                let i = 0;
+                i < size && seatNumber <= section.end;
+                i++, seatNumber++
+              ) {
+                if (isPillar(rowLabel, seatNumber)) continue;
+                records.push({
+                  Id: `bench-${records.length + 1}`,
+                  Opportunity_Account_Name: `Benchmark Account ${account}`,
+                  "PricebookEntry.Product2.Row": rowLabel,
+                  "PricebookEntry.Product2.Seat_Number": `${seatNumber}.0`,
+                  "PricebookEntry.Product2.Day_of_Stampede": day,
+                  "PricebookEntry.Product2.Event_Type": event,
+                  "PricebookEntry.Product2.Venue": venue.id,
+                  "Opportunity.Id": `OPP-Bench-${bookingCount}`,
+                  Seat_Status: status,
+                });
+              }
+
+              seatNumber += Math.floor(random() * 4);
+            }
+          });
+      });
+    });
+  });
+
+  return records;
+}
@@ -0,0 +1,508 @@
+// data-service.test.js - Grouping rules of DataService: pillars, stairways,
+// float seat numbers, statuses, records with missing fields and live record
+// changes
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import {
+  ACME_ACROSS_STAIRWAY,
+  ALBERTA_ENERGY_ACROSS_PILLAR,
+  CALGARY_COOP_ACROSS_BLOCKS,
+  CAMERA_PLATFORM,
+  ENMAX_TWO_ROWS,
+  IMPERIAL_OIL_ACROSS_PILLAR,
+  seatRecord,
+} from "./fixtures.js";
+import { VENUE_DEFINITIONS } from "./setup.js";
+import { DataService } from "../src/data-service.js";
+import { VenueLayout } from "../src/venue-layout.js";
+import { Logger } from "../src/utils.js";
+
+Logger.isDebug = false;
+VenueLayout.setDefinitions(VENUE_DEFINITIONS);
+
+// Seat groups of processed records as [row, start, end, seat count]
+function groupRanges(records) {
+  const processedData = DataService.processConnectedSeats(
+    DataService.transformSalesforceData(records)
+  );
+  return processedData.flatMap((row) =>
+    row.seatGroups.map((group) => [
+      row.rowLabel,
+      group.startSeat,
+      group.endSeat,
+      group.seatCount,
+    ])
+  );
+}
+
+beforeEach(() => {
+  VenueLayout.use("loge");
+  DataService.setFieldMapping();
+});
+
+describe("transformSalesforceData", () => {
+  it("reads float seat numbers like 64.0 as whole numbers", () => {
+    const rows = DataService.transformSalesforceData(ACME_ACROSS_STAIRWAY);
+
+    assert.deepEqual(
+      rows[0].seats.map((seat) => seat.seatNumber),
+      [64, 65, 68, 69, 70]
+    );
+  });
+
+  it("groups seats into rows per venue", () => {
+    const rows = DataService.transformSalesforceData([
+      ...ENMAX_TWO_ROWS,
+      ...CALGARY_COOP_ACROSS_BLOCKS,
+    ]);
+
+    assert.deepEqual(
+      rows.map((row) => [row.venueId, row.rowLabel, row.seats.length]),
+      [
+        ["loge", "D", 5],
+        ["loge", "E", 5],
+        ["grandstand", "C", 6],
+      ]
+    );
+  });
+
+  it("copies the booking fields onto each seat", () => {
+    const [seat] =
+      DataService.transformSalesforceData(ACME_ACROSS_STAIRWAY)[0].seats;
+
+    assert.equal(seat.accountName, "Acme Corporation");
+    assert.equal(seat.opportunityId, "OPP-Acme-001");
+    assert.equal(seat.day, "Day 1 - Friday");
+    assert.equal(seat.event, "Rodeo");
+    assert.equal(seat.recordId, "00kAs00000400064ZZAQ");
+    assert.equal(seat.status, "sold");
+  });
+
+  it("reads nested SOQL records", () => {
+    const rows = DataService.transformSalesforceData([
+      {
+        Id: "nested",
+        Opportunity: { Id: "OPP-Nested", Account: { Name: "Nested Co" } },
+        PricebookEntry: {
+          Product2: {
+            Row: " C ",
+            Seat_Number: 40,
+            Day_of_Stampede: "Day 1 - Friday",
+            Event_Type: "Rodeo",
+          },
+        },
+      },
+    ]);
+
+    assert.equal(rows[0].rowLabel, "C");
+    assert.equal(rows[0].seats[0].seatNumber, 40);
+    assert.equal(rows[0].seats[0].accountName, "Nested Co");
+    assert.equal(rows[0].seats[0].opportunityId, "OPP-Nested");
+  });
+
+  it("puts records without a venue in the first venue", () => {
+    const record = seatRecord({ row: "C", seat: "40.0" });
+    delete record["PricebookEntry.Product2.Venue"];
+
+    const rows = DataService.transformSalesforceData([record]);
+
+    assert.equal(rows[0].venueId, "loge");
+  });
+
+  it("maps status picklist values onto seat statuses", () => {
+    const rows = DataService.transformSalesforceData([
+      seatRecord({ row: "C", seat: "40.0" }),
+      seatRecord({ row: "C", seat: "41.0", status: "Reserved" }),
+      seatRecord({ row: "C", seat: "42.0", status: "Complimentary" }),
+      seatRecord({ row: "C", seat: "43.0", status: "Available" }),
+      ...CAMERA_PLATFORM,
+    ]);
+
+    assert.deepEqual(
+      rows.flatMap((row) => row.seats.map((seat) => seat.status)),
+      [
+        "sold",
+        "held",
+        "comp",
+        "available",
+        ...CAMERA_PLATFORM.map(() => "blocked"),
+      ]
+    );
+  });
+
+  it("leaves out records with missing fields and lists what they lack", (t) => {
+    t.mock.method(console, "warn", () => {});
+    const noSeat = seatRecord({ row: "C", seat: "" });
+    const noRow = seatRecord({ row: "", seat: "not a number" });
+
+    const rows = DataService.transformSalesforceData([
+      noSeat,
+      seatRecord({ row: "C", seat: "41.0" }),
+      noRow,
+      null,
+    ]);
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].seats.length, 1);
+    assert.deepEqual(
+      DataService.unmappedRecords.map((entry) => [
+        entry.index,
+        entry.recordId,
+        entry.missing,
+      ]),
+      [
+        [0, noSeat.Id, ["seatNumber"]],
+        [2, noRow.Id, ["row", "seatNumber"]],
+        [3, "", ["row", "seatNumber", "day", "event"]],
+      ]
+    );
+  });
+
+  it("returns no rows for data that isn't an array", (t) => {
+    t.mock.method(console, "error", () => {});
+
+    assert.deepEqual(DataService.transformSalesforceData({}), []);
+  });
+});
+
+describe("applyRecordChanges", () => {
+  // Seats of seat data as [venue, row, seat, status]
+  const seatList = (seatData) =>
+    seatData.flatMap((row) =>
+      row.seats.map((seat) => [
+        row.venueId,
+        row.rowLabel,
+        seat.seatNumber,
+        seat.status,
+      ])
+    );
+
+  it("replaces an updated record and returns its old and new seat", () => {
+    const seatData = DataService.transformSalesforceData(ACME_ACROSS_STAIRWAY);
+    const record = { ...ACME_ACROSS_STAIRWAY[0], Seat_Status: "Held" };
+
+    const { changedSeats } = DataService.applyRecordChanges(seatData, [
+      { type: "update", id: record.Id, record: record },
+    ]);
+
+    assert.deepEqual(seatList(seatData), [
+      ["loge", "D", 65, "sold"],
+      ["loge", "D", 68, "sold"],
+      ["loge", "D", 69, "sold"],
+      ["loge", "D", 70, "sold"],
+      ["loge", "D", 64, "held"],
+    ]);
+    assert.deepEqual(
+      changedSeats.map((seat) => [seat.rowLabel, seat.seatNumber, seat.status]),
+      [
+        ["D", 64, "sold"],
+        ["D", 64, "held"],
+      ]
+    );
+  });
+
+  it("adds rows for inserted records", () => {
+    const seatData = DataService.transformSalesforceData(ACME_ACROSS_STAIRWAY);
+    const record = seatRecord({ row: "A", seat: "99.0" });
+
+    DataService.applyRecordChanges(seatData, [
+      { type: "insert", id: record.Id, record: record },
+      { type: "insert", id: record.Id, record: record },
+    ]);
+
+    assert.deepEqual(
+      seatData.map((row) => [row.rowLabel, row.seats.length]),
+      [
+        ["D", 5],
+        ["A", 1],
+      ]
+    );
+  });
+
+  it("removes deleted records and rows left empty", () => {
+    const seatData = DataService.transformSalesforceData([
+      seatRecord({ row: "A", seat: "99.0" }),
+      ...CAMERA_PLATFORM,
+    ]);
+
+    const { changedSeats } = DataService.applyRecordChanges(seatData, [
+      { type: "delete", id: "TEST-A99.0" },
+      { type: "delete", id: "unknown" },
+    ]);
+
+    assert.deepEqual(
+      seatData.map((row) => row.rowLabel),
+      ["E"]
+    );
+    assert.deepEqual(
+      changedSeats.map((seat) => [seat.seatNumber, seat.type]),
+      [[99, "delete"]]
+    );
+  });
+
+  it("leaves out changed records with missing fields", (t) => {
+    t.mock.method(console, "warn", () => {});
+    const seatData = DataService.transformSalesforceData(CAMERA_PLATFORM);
+    const record = seatRecord({ row: "", seat: "99.0" });
+
+    const { changedSeats, unmapped } = DataService.applyRecordChanges(
+      seatData,
+      [{ type: "insert", id: record.Id, record: record }]
+    );
+
+    assert.equal(changedSeats.length, 0);
+    assert.deepEqual(unmapped[0].missing, ["row"]);
+    assert.equal(seatData[0].seats.length, CAMERA_PLATFORM.length);
+  });
+
+  it("keeps the unmapped records in step with the changes", (t) => {
+    t.mock.method(console, "warn", () => {});
+    const noRow = seatRecord({ row: "", seat: "98.0" });
+    const seatData = DataService.transformSalesforceData([
+      ...CAMERA_PLATFORM,
+      noRow,
+    ]);
+    const unmappedIds = () =>
+      DataService.unmappedRecords.map((entry) => entry.recordId);
+    assert.deepEqual(unmappedIds(), [noRow.Id]);
+
+    const fixed = { ...noRow, "PricebookEntry.Product2.Row": "A" };
+    const broken = seatRecord({ row: "", seat: "99.0" });
+    DataService.applyRecordChanges(seatData, [
+      { type: "update", id: fixed.Id, record: fixed },
+      { type: "insert", id: broken.Id, record: broken },
+    ]);
+    assert.deepEqual(unmappedIds(), [broken.Id]);
+
+    DataService.applyRecordChanges(seatData, [
+      { type: "delete", id: broken.Id },
+    ]);
+    assert.deepEqual(unmappedIds(), []);
+  });
+});
+
+describe("getOccupancyStats", () => {
+  it("counts a double booked seat once", () => {
+    const record = seatRecord({ row: "A", seat: "99.0" });
+    const stats = DataService.getOccupancyStats(
+      DataService.processConnectedSeats(
+        DataService.transformSalesforceData([
+          record,
+          { ...record, Id: "TEST-A99-again", Seat_Status: "Held" },
+        ])
+      )
+    ).get("section-4|A");
+
+    assert.equal(stats.sold + stats.held, 1);
+    assert.equal(stats.available, stats.capacity - 1);
+  });
+});
+
+describe("findContiguousSegments", () => {
+  it("sorts the seat numbers and splits them at holes", () => {
+    assert.deepEqual(
+      DataService.findContiguousSegments([34, 30, 31, 33], "D"),
+      [
+        [30, 31],
+        [33, 34],
+      ]
+    );
+  });
+
+  it("keeps seats on both sides of a pillar together", () => {
+    assert.deepEqual(
+      DataService.findContiguousSegments([43, 38, 42, 39], "E"),
+      [[38, 39, 42, 43]]
+    );
+    assert.deepEqual(
+      DataService.findContiguousSegments([90, 91, 96, 97], "E"),
+      [[90, 91, 96, 97]]
+    );
+  });
+
+  it("only bridges pillars in the row they stand in", () => {
+    assert.deepEqual(
+      DataService.findContiguousSegments([38, 39, 42, 43], "D"),
+      [
+        [38, 39],
+        [42, 43],
+      ]
+    );
+  });
+
+  it("doesn't bridge pillar positions with seats missing next to them", () => {
+    assert.deepEqual(DataService.findContiguousSegments([38, 43], "E"), [
+      [38],
+      [43],
+    ]);
+  });
+
+  it("splits at the stairway between 65 and 68", () => {
+    assert.deepEqual(
+      DataService.findContiguousSegments([64, 65, 68, 69], "D"),
+      [
+        [64, 65],
+        [68, 69],
+      ]
+    );
+  });
+
+  it("splits at the stairway between 83 and 86", () => {
+    assert.deepEqual(DataService.findContiguousSegments([82, 83, 86], "C"), [
+      [82, 83],
+      [86],
+    ]);
+  });
+
+  it("returns no segments for no seats", () => {
+    assert.deepEqual(DataService.findContiguousSegments([], "A"), []);
+  });
+});
+
+describe("processConnectedSeats", () => {
+  it("splits Acme's booking at the stairway", () => {
+    assert.deepEqual(groupRanges(ACME_ACROSS_STAIRWAY), [
+      ["D", 64, 65, 2],
+      ["D", 68, 70, 3],
+    ]);
+  });
+
+  it("keeps Alberta Energy's booking together across the pillar", () => {
+    assert.deepEqual(groupRanges(ALBERTA_ENERGY_ACROSS_PILLAR), [
+      ["E", 38, 43, 4],
+    ]);
+  });
+
+  it("keeps Imperial Oil's booking together across the wide pillar", () => {
+    assert.deepEqual(groupRanges(IMPERIAL_OIL_ACROSS_PILLAR), [
+      ["E", 90, 97, 4],
+    ]);
+  });
+
+  it("groups each row of a booking that spans two rows", () => {
+    assert.deepEqual(groupRanges(ENMAX_TWO_ROWS), [
+      ["D", 45, 49, 5],
+      ["E", 45, 49, 5],
+    ]);
+  });
+
+  it("describes a group by its first seat", () => {
+    const [group] = DataService.processConnectedSeats(
+      DataService.transformSalesforceData(ALBERTA_ENERGY_ACROSS_PILLAR)
+    )[0].seatGroups;
+
+    assert.equal(group.isConnected, true);
+    assert.equal(group.accountName, "Alberta Energy");
+    assert.equal(group.opportunityId, "OPP-AlbertaEnergy-001");
+    assert.equal(group.day, "Day 3 - Sunday");
+    assert.equal(group.status, "sold");
+    assert.deepEqual(
+      group.recordIds,
+      ALBERTA_ENERGY_ACROSS_PILLAR.map((record) => record.Id)
+    );
+  });
+
+  it("keeps seats without an opportunity apart", () => {
+    const processedData = DataService.processConnectedSeats(
+      DataService.transformSalesforceData(CAMERA_PLATFORM)
+    );
+
+    assert.deepEqual(
+      processedData[0].seatGroups.map((group) => [
+        group.startSeat,
+        group.isConnected,
+        group.status,
+      ]),
+      [
+        [100, false, "blocked"],
+        [101, false, "blocked"],
+        [102, false, "blocked"],
+        [103, false, "blocked"],
+      ]
+    );
+  });
+
+  it("splits an opportunity's seats by status", () => {
+    assert.deepEqual(
+      groupRanges([
+        seatRecord({ row: "C", seat: "40.0" }),
+        seatRecord({ row: "C", seat: "41.0" }),
+        seatRecord({ row: "C", seat: "42.0", status: "Held" }),
+        seatRecord({ row: "C", seat: "43.0", status: "Held" }),
+      ]),
+      [
+        ["C", 40, 41, 2],
+        ["C", 42, 43, 2],
+      ]
+    );
+  });
+
+  it("leaves out seats marked available", () => {
+    assert.deepEqual(
+      groupRanges([
+        seatRecord({ row: "C", seat: "40.0" }),
+        seatRecord({ row: "C", seat: "41.0", status: "Available" }),
+      ]),
+      [["C", 40, 40, 1]]
+    );
+  });
+});
+
+describe("getActualSeats", () => {
+  it("skips pillar positions", () => {
+    assert.deepEqual(DataService.getActualSeats("E", 38, 43), [38, 39, 42, 43]);
+    assert.deepEqual(DataService.getActualSeats("E", 90, 97), [90, 91, 96, 97]);
+  });
+
+  it("skips stairway numbers between sections", () => {
+    assert.deepEqual(
+      DataService.getActualSeats("D", 64, 70),
+      [64, 65, 68, 69, 70]
+    );
+    assert.deepEqual(DataService.getActualSeats("D", 82, 87), [82, 83, 86, 87]);
+  });
+
+  it("accepts seat numbers as text", () => {
+    assert.deepEqual(DataService.getActualSeats("A", "30", "32"), [30, 31, 32]);
+  });
+
+  it("returns no seats for rows the venue doesn't have", () => {
+    assert.deepEqual(DataService.getActualSeats("Z", 30, 32), []);
+  });
+
+  it("uses the current venue", () => {
+    VenueLayout.use("grandstand");
+
+    assert.deepEqual(DataService.getActualSeats("A", 1, 6), [5, 6]);
+    assert.deepEqual(
+      DataService.getActualSeats("C", 18, 23),
+      [18, 19, 20, 21, 22, 23]
+    );
+  });
+});
+
+describe("formatSeatRanges", () => {
+  it("joins consecutive seats into ranges", () => {
+    assert.equal(
+      DataService.formatSeatRanges([38, 39, 42, 43]),
+      "38-39, 42-43"
+    );
+  });
+
+  it("sorts the seats first", () => {
+    assert.equal(
+      DataService.formatSeatRanges([70, 64, 69, 65, 68]),
+      "64-65, 68-70"
+    );
+  });
+
+  it("lists single seats on their own", () => {
+    assert.equal(DataService.formatSeatRanges([60]), "60");
+    assert.equal(DataService.formatSeatRanges([30, 32, 33]), "30, 32-33");
+  });
+
+  it("returns an empty string for no seats", () => {
+    assert.equal(DataService.formatSeatRanges([]), "");
+  });
+});
@@ -0,0 +1,63 @@
+// data-sources.test.js - Picking a data source from the page config and
+// loading from the LWC wire source
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DataSources } from "../src/data-sources.js";
+import { Logger } from "../src/utils.js";
+
+Logger.isDebug = false;
+
+describe("fromConfig", () => {
+  it("uses a source handed over by the host page", () => {
+    const source = DataSources.createLwcWireSource();
+
+    assert.equal(
+      DataSources.fromConfig({ dataSource: { source: source } }, ""),
+      source
+    );
+  });
+
+  it("lets the page URL pick another source", () => {
+    const source = DataSources.createLwcWireSource();
+
+    assert.equal(
+      DataSources.fromConfig(
+        { dataSource: { source: source } },
+        "?source=rest&url=/api/seats"
+      ).name,
+      "rest"
+    );
+  });
+
+  it("loads the records bundled with the page by default", async () => {
+    const records = [{ Id: "a" }];
+    const source = DataSources.fromConfig(undefined, "", records);
+
+    assert.equal(source.name, "static");
+    assert.equal(await source.load(), records);
+  });
+});
+
+describe("createLwcWireSource", () => {
+  it("resolves with the next wire result", async () => {
+    const source = DataSources.createLwcWireSource();
+    const records = source.load();
+
+    source.receive({ data: [{ Id: "a" }] });
+
+    assert.deepEqual(await records, [{ Id: "a" }]);
+  });
+
+  it("refreshes the wire after an error", async () => {
+    let refreshed = 0;
+    const source = DataSources.createLwcWireSource(() => refreshed++);
+    source.receive({ error: new Error("No access") });
+
+    const records = source.load();
+    source.receive({ data: [] });
+
+    assert.equal(refreshed, 1);
+    assert.deepEqual(await records, []);
+  });
+});
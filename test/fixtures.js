@@ -0,0 +1,55 @@
+// fixtures.js - Seat records for the tests, taken from the data.js scenarios
+
+import { SALESFORCE_DATA } from "./setup.js";
+
+// Records of one opportunity in data.js
+export function opportunityRecords(opportunityId) {
+  return SALESFORCE_DATA.filter(
+    (record) => record["Opportunity.Id"] === opportunityId
+  );
+}
+
+// Acme Corporation, loge row D seats 64-65 and 68-70 on Day 1, across the
+// stairway that takes up seat numbers 66-67
+export const ACME_ACROSS_STAIRWAY = opportunityRecords("OPP-Acme-001");
+
+// Alberta Energy, loge row E seats 38-39 and 42-43 on Day 3, around the
+// pillar at E40-41
+export const ALBERTA_ENERGY_ACROSS_PILLAR = opportunityRecords(
+  "OPP-AlbertaEnergy-001"
+);
+
+// Imperial Oil, loge row E seats 90-91 and 96-97 on Day 4, around the wide
+// pillar at E92-95
+export const IMPERIAL_OIL_ACROSS_PILLAR = opportunityRecords(
+  "OPP-ImperialOil-001"
+);
+
+// Calgary Co-op, grandstand row C seats 18-23 on Day 1, across the stairway
+// between blocks A and B
+export const CALGARY_COOP_ACROSS_BLOCKS = opportunityRecords(
+  "OPP-CalgaryCoop-GS-001"
+);
+
+// ENMAX Corporation, loge rows D and E seats 45-49 on Day 2
+export const ENMAX_TWO_ROWS = opportunityRecords("OPP-Enmax-001");
+
+// Blocked seats E100-103 on Day 1, without an account or opportunity
+export const CAMERA_PLATFORM = SALESFORCE_DATA.filter(
+  (record) => record.Seat_Status === "Killed"
+);
+
+// A loge record for Day 1 Rodeo with the given fields
+export function seatRecord(fields) {
+  return {
+    Id: `TEST-${fields.row}${fields.seat}`,
+    Opportunity_Account_Name: fields.account || "Test Account",
+    "PricebookEntry.Product2.Row": fields.row,
+    "PricebookEntry.Product2.Seat_Number": fields.seat,
+    "PricebookEntry.Product2.Day_of_Stampede": "Day 1 - Friday",
+    "PricebookEntry.Product2.Event_Type": "Rodeo",
+    "PricebookEntry.Product2.Venue": "loge",
+    "Opportunity.Id": fields.opportunityId || "OPP-Test-001",
+    ...(fields.status ? { Seat_Status: fields.status } : {}),
+  };
+}
@@ -0,0 +1,241 @@
+// live-updates.test.js - Changes and selections of other reps arriving on a
+// live update channel while the app runs in jsdom
+
+import assert from "node:assert/strict";
+import { before, describe, it, mock } from "node:test";
+import { ACME_ACROSS_STAIRWAY, seatRecord } from "./fixtures.js";
+import { createDom, mapRendered } from "./setup.js";
+
+createDom();
+const { Logger } = await import("../src/utils.js");
+const { AppState } = await import("../src/app-state.js");
+const { initializeApp } = await import("../script.js");
+
+// Channel the tests push messages through, as the server would
+const channel = {
+  name: "test",
+  handlers: null,
+  published: [],
+  connect(handlers) {
+    this.handlers = handlers;
+    handlers.onStatus("live");
+  },
+  publishSelection(selection) {
+    this.published.push(selection);
+  },
+  close() {},
+};
+
+// Wait until a condition holds after a map update
+async function renderedUntil(condition) {
+  do {
+    await mapRendered();
+  } while (!condition());
+}
+
+function seat(seatId) {
+  return document.querySelector(`.venue-layout [data-seat-id="${seatId}"]`);
+}
+
+function liveStatus() {
+  return document.getElementById("live-status").textContent;
+}
+
+before(async () => {
+  Logger.isDebug = false;
+  mock.method(console, "warn", () => {});
+  // Highlights go sooner, so the tests don't wait for them
+  AppState.recentChangeDuration = 1000;
+  window.SEAT_MAP_CONFIG = {
+    liveUpdates: { channel: channel, user: "Megan Clarke" },
+  };
+
+  const rendered = mapRendered();
+  await initializeApp();
+  await rendered;
+});
+
+describe("live changes", () => {
+  it("shows that the map is live", () => {
+    assert.equal(liveStatus(), "Live");
+    assert.equal(
+      document.getElementById("remote-selection-legend").hidden,
+      false
+    );
+  });
+
+  it("highlights seats another rep changed", async () => {
+    channel.handlers.onChanges({
+      changes: [
+        {
+          type: "update",
+          record: { Id: ACME_ACROSS_STAIRWAY[0].Id, Seat_Status: "Held" },
+        },
+      ],
+      user: "Raj Patel",
+    });
+    await renderedUntil(() => seat("D64"));
+
+    assert.equal(seat("D64").getAttribute("data-status"), "held");
+    assert.ok(seat("D64").classList.contains("live-change"));
+    assert.equal(
+      seat("D64").getAttribute("aria-label"),
+      "Row D seat 64, held for Acme Corporation, just changed by Raj Patel"
+    );
+    assert.equal(
+      liveStatus(),
+      "Live - Raj Patel updated 1 seat on Day 1 - Friday, Rodeo"
+    );
+  });
+
+  it("frees deleted seats and clears the highlight later", async () => {
+    channel.handlers.onChanges({
+      changes: [{ type: "delete", record: { Id: ACME_ACROSS_STAIRWAY[0].Id } }],
+      user: "Raj Patel",
+    });
+    await renderedUntil(() => !seat("D64").hasAttribute("data-status"));
+    assert.ok(seat("D64").classList.contains("live-change"));
+
+    await renderedUntil(() => !seat("D64").classList.contains("live-change"));
+    assert.equal(
+      seat("D64").getAttribute("aria-label"),
+      "Row D seat 64, available"
+    );
+  });
+
+  it("selects a changed booking again", async () => {
+    const rendered = mapRendered();
+    document.querySelector('[data-opportunity-id="OPP-Acme-001"]').click();
+    await rendered;
+    assert.equal(AppState.selectedSeat.seatId, "D65");
+
+    channel.handlers.onChanges({
+      changes: [{ type: "insert", record: ACME_ACROSS_STAIRWAY[0] }],
+      user: "Raj Patel",
+    });
+    await renderedUntil(() => AppState.selectedSeat);
+
+    assert.equal(AppState.selectedSeat.startSeat, 64);
+    assert.equal(AppState.selectedSeat.seatCount, 5);
+    assert.equal(
+      document.querySelectorAll(
+        '.venue-layout .active[data-opportunity-id="OPP-Acme-001"]'
+      ).length,
+      2
+    );
+  });
+});
+
+describe("selections of other reps", () => {
+  const entry = {
+    venueId: "loge",
+    day: "Day 1 - Friday",
+    event: "Rodeo",
+    rowLabel: "A",
+    seatNumber: 99,
+  };
+
+  it("marks the seats another rep is selecting and keeps them out of the cart", async () => {
+    channel.handlers.onSelection({
+      clientId: "other-page",
+      user: "Tom Nguyen",
+      seats: [entry],
+    });
+    await renderedUntil(() =>
+      seat("A99").classList.contains("remote-selection")
+    );
+
+    assert.equal(
+      seat("A99").getAttribute("aria-label"),
+      "Row A seat 99, available, being selected by Tom Nguyen"
+    );
+    AppState.addToCart("A", [99]);
+    assert.equal(AppState.cart.length, 0);
+
+    channel.handlers.onSelection({
+      clientId: "other-page",
+      user: "Tom Nguyen",
+      seats: [],
+    });
+    await renderedUntil(
+      () => !seat("A99").classList.contains("remote-selection")
+    );
+  });
+
+  it("doesn't suggest seats another rep is selecting", () => {
+    const seats = [];
+    for (let seatNumber = 86; seatNumber <= 103; seatNumber++) {
+      seats.push({ ...entry, seatNumber });
+    }
+    channel.handlers.onSelection({
+      clientId: "other-page",
+      user: "Tom Nguyen",
+      seats: seats,
+    });
+
+    const blocks = AppState.findSeats({
+      partySize: 2,
+      day: entry.day,
+      event: entry.event,
+      rowLabel: "A",
+      sectionId: "section-4",
+    });
+    assert.deepEqual(blocks, []);
+
+    channel.handlers.onSelection({
+      clientId: "other-page",
+      user: "Tom Nguyen",
+      seats: [],
+    });
+  });
+
+  it("shares this rep's cart", async () => {
+    AppState.addToCart("A", [98]);
+    await new Promise((resolve) => setTimeout(resolve, 400));
+
+    assert.deepEqual(channel.published.at(-1), {
+      clientId: channel.published.at(-1).clientId,
+      user: "Megan Clarke",
+      seats: [{ ...entry, seatNumber: 98 }],
+    });
+  });
+
+  it("drops cart seats another rep books", async () => {
+    channel.handlers.onChanges({
+      changes: [
+        { type: "insert", record: seatRecord({ row: "A", seat: "98.0" }) },
+      ],
+      user: "Sarah Olsen",
+    });
+    await renderedUntil(() => seat("A98").hasAttribute("data-status"));
+
+    assert.deepEqual(AppState.cart, []);
+    assert.equal(
+      liveStatus(),
+      "Live - Sarah Olsen took 1 seat from your booking (A98)"
+    );
+  });
+
+  it("keeps seats another rep books out of undo and redo", async () => {
+    const nextTask = () => new Promise((resolve) => setTimeout(resolve));
+    AppState.addToCart("A", [96]);
+    await nextTask();
+    AppState.addToCart("A", [97]);
+    await nextTask();
+
+    channel.handlers.onChanges({
+      changes: [
+        { type: "insert", record: seatRecord({ row: "A", seat: "96.0" }) },
+      ],
+      user: "Sarah Olsen",
+    });
+    await renderedUntil(() => seat("A96").hasAttribute("data-status"));
+
+    const cartSeats = () => AppState.cart.map((entry) => entry.seatNumber);
+    assert.deepEqual(cartSeats(), [97]);
+    AppState.undo();
+    assert.deepEqual(cartSeats(), []);
+    AppState.redo();
+    assert.deepEqual(cartSeats(), [97]);
+  });
+});
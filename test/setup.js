@@ -0,0 +1,78 @@
+// setup.js - Page globals and a DOM for the tests
+//
+// venues.js and data.js are plain scripts in the browser, so they are
+// evaluated into the global scope here in the same way, for script.js to
+// read. Tests that use the modules without script.js hand the exports below
+// to them instead.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import vm from "node:vm";
+import { JSDOM } from "jsdom";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Window properties the modules use without the window. prefix
+const WINDOW_GLOBALS = [
+  "document",
+  "location",
+  "history",
+  "navigator",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "getComputedStyle",
+  "CustomEvent",
+  "Event",
+  "KeyboardEvent",
+  "MouseEvent",
+  "Image",
+  "MutationObserver",
+];
+
+vm.runInThisContext(fs.readFileSync(path.join(ROOT, "venues.js"), "utf8"));
+vm.runInThisContext(fs.readFileSync(path.join(ROOT, "data.js"), "utf8"));
+
+// The venues in venues.js and the records in data.js
+export const VENUE_DEFINITIONS = vm.runInThisContext("VENUE_DEFINITIONS");
+export const SALESFORCE_DATA = vm.runInThisContext("SALESFORCE_DATA");
+
+// Load index.html without running its scripts and expose its window as the
+// global scope. Each test file runs in its own process, so a file creates
+// the DOM once, before starting the app.
+export function createDom(url = "http://localhost/index.html") {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const dom = new JSDOM(html, { url: url, pretendToBeVisual: true });
+  const { window } = dom;
+  // jsdom has no layout, so there is nothing to scroll
+  window.HTMLElement.prototype.scrollIntoView = function () {};
+
+  Object.defineProperty(globalThis, "window", {
+    value: window,
+    configurable: true,
+    writable: true,
+  });
+  WINDOW_GLOBALS.forEach((name) => {
+    const value = window[name];
+    Object.defineProperty(globalThis, name, {
+      // Methods such as requestAnimationFrame expect the window as this
+      value:
+        typeof value === "function" && /^[a-z]/.test(name)
+          ? value.bind(window)
+          : value,
+      configurable: true,
+      writable: true,
+    });
+  });
+
+  return dom;
+}
+
+// Resolve when the seating map has finished its next update
+export function mapRendered() {
+  return new Promise((resolve) =>
+    document
+      .querySelector(".venue-layout")
+      .addEventListener("seatmap:rendered", resolve, { once: true })
+  );
+}
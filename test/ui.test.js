@@ -0,0 +1,361 @@
+// ui.test.js - Seating map rendering in jsdom: the app is started on
+// index.html with the records in data.js
+
+import assert from "node:assert/strict";
+import { before, describe, it, mock } from "node:test";
+import { seatRecord } from "./fixtures.js";
+import {
+  SALESFORCE_DATA,
+  VENUE_DEFINITIONS,
+  createDom,
+  mapRendered,
+} from "./setup.js";
+
+createDom();
+const { Logger } = await import("../src/utils.js");
+const { UI } = await import("../src/ui.js");
+const { AppState } = await import("../src/app-state.js");
+const { initializeApp } = await import("../script.js");
+
+// Show a venue, day and event through the filter controls. Each control
+// updates the map on its own, so wait until the map shows all of them.
+async function showView({ venue, day, event }) {
+  if (venue) {
+    const select = document.getElementById("venue-filter");
+    select.value = venue;
+    select.dispatchEvent(new Event("change"));
+  }
+  if (day) {
+    const select = document.getElementById("day-filter");
+    select.value = day;
+    select.dispatchEvent(new Event("change"));
+  }
+  if (event) {
+    const radio = document.querySelector(
+      `input[name="event-type"][value="${event}"]`
+    );
+    radio.checked = true;
+    radio.dispatchEvent(new Event("change"));
+  }
+
+  const wanted = [
+    venue && document.getElementById("venue-filter").selectedOptions[0].text,
+    day,
+    event,
+  ].filter(Boolean);
+  const label = () =>
+    document.querySelector(".venue-layout").getAttribute("aria-label");
+  do {
+    await mapRendered();
+  } while (!wanted.every((part) => label().includes(part)));
+}
+
+// Blocks of a booking in a row as [section, seat range, grid span]
+function bookingBlocks(opportunityId, rowLabel) {
+  return Array.from(
+    document.querySelectorAll(
+      `.venue-layout .row-${rowLabel.toLowerCase()} > [data-opportunity-id="${opportunityId}"]`
+    )
+  ).map((el) => [
+    el.closest("[data-section-id]").getAttribute("data-section-id"),
+    `${el.getAttribute("data-start-seat")}-${el.getAttribute("data-end-seat")}`,
+    el.style.gridColumn,
+  ]);
+}
+
+before(async () => {
+  Logger.isDebug = false;
+  // data.js has a few deliberate data issues, which are logged on load
+  mock.method(console, "warn", () => {});
+
+  const rendered = mapRendered();
+  await initializeApp();
+  await rendered;
+});
+
+describe("seating map", () => {
+  it("lays out the loge sections, rows and pillars", async () => {
+    await showView({ venue: "loge", day: "Day 1 - Friday", event: "Rodeo" });
+
+    const sections = document.querySelectorAll(
+      '.venue-layout [role="rowgroup"]'
+    );
+    assert.deepEqual(
+      Array.from(sections).map((section) => section.getAttribute("aria-label")),
+      ["Section 1", "Section 2", "Section 3", "Section 4"]
+    );
+    assert.deepEqual(
+      Array.from(sections[0].querySelectorAll('[role="row"]')).map((row) =>
+        row.getAttribute("aria-label")
+      ),
+      ["Row E", "Row D", "Row C", "Row B", "Row A"]
+    );
+
+    const pillar = document.querySelector(".venue-layout .row-e > .pillar");
+    assert.equal(
+      pillar.getAttribute("aria-label"),
+      "Row E seats 40-41, pillar"
+    );
+    assert.equal(pillar.style.gridColumn, "span 2");
+  });
+
+  it("draws Acme's booking as a block on each side of the stairway", async () => {
+    await showView({ venue: "loge", day: "Day 1 - Friday", event: "Rodeo" });
+
+    assert.deepEqual(bookingBlocks("OPP-Acme-001", "D"), [
+      ["section-2", "64-65", "span 2"],
+      ["section-3", "68-70", "span 3"],
+    ]);
+    assert.equal(
+      document
+        .querySelector('[data-opportunity-id="OPP-Acme-001"]')
+        .getAttribute("aria-label"),
+      "Row D seats 64-65, sold to Acme Corporation, part of 5-seat booking"
+    );
+  });
+
+  it("draws Alberta Energy's booking around the pillar", async () => {
+    await showView({ venue: "loge", day: "Day 3 - Sunday", event: "Rodeo" });
+
+    assert.deepEqual(bookingBlocks("OPP-AlbertaEnergy-001", "E"), [
+      ["section-1", "38-39", "span 2"],
+      ["section-1", "42-43", "span 2"],
+    ]);
+    const pillar = document.querySelector(
+      '[data-opportunity-id="OPP-AlbertaEnergy-001"] + .pillar'
+    );
+    assert.equal(
+      pillar.getAttribute("aria-label"),
+      "Row E seats 40-41, pillar"
+    );
+  });
+
+  it("splits a grandstand booking at the stairway between blocks", async () => {
+    await showView({
+      venue: "grandstand",
+      day: "Day 1 - Friday",
+      event: "Rodeo",
+    });
+
+    assert.deepEqual(bookingBlocks("OPP-CalgaryCoop-GS-001", "C"), [
+      ["block-a", "18-20", "span 3"],
+      ["block-b", "21-23", "span 3"],
+    ]);
+  });
+
+  it("keeps the elements of unchanged seats when the view changes", async () => {
+    await showView({ venue: "loge", day: "Day 1 - Friday", event: "Rodeo" });
+    const seat = document.querySelector('[data-seat-id="A99"]');
+    const pillar = document.querySelector(".venue-layout .row-e > .pillar");
+
+    await showView({ day: "Day 3 - Sunday" });
+
+    assert.equal(document.querySelector('[data-seat-id="A99"]'), seat);
+    assert.equal(
+      document.querySelector(".venue-layout .row-e > .pillar"),
+      pillar
+    );
+  });
+});
+
+describe("selecting a booking", () => {
+  it("shows its seats on both sides of the pillar", async () => {
+    await showView({ venue: "loge", day: "Day 3 - Sunday", event: "Rodeo" });
+
+    const rendered = mapRendered();
+    document
+      .querySelector('[data-opportunity-id="OPP-AlbertaEnergy-001"]')
+      .click();
+    await rendered;
+
+    const details = document.querySelector(".seat-detail-panel");
+    assert.match(details.textContent, /Alberta Energy/);
+    assert.match(details.textContent, /38-39, 42-43 \(4 seats\)/);
+    assert.equal(
+      document.querySelectorAll(
+        '.venue-layout .active[data-opportunity-id="OPP-AlbertaEnergy-001"]'
+      ).length,
+      2
+    );
+    assert.equal(
+      document.getElementById("seat-announcer").textContent,
+      "Selected Alberta Energy, row E seats 38-39, 42-43, 4 seats, sold"
+    );
+    assert.equal(
+      new URL(window.location.href).searchParams.get("opportunity"),
+      "OPP-AlbertaEnergy-001"
+    );
+  });
+});
+
+describe("imported IDs", () => {
+  it("selects bookings whose IDs have quotes", async () => {
+    const opportunityId = 'OPP-"Quote\\d"-001';
+    AppState.reload([
+      ...SALESFORCE_DATA,
+      seatRecord({ row: "A", seat: "98.0", opportunityId }),
+      seatRecord({ row: "A", seat: "99.0", opportunityId }),
+      seatRecord({ row: "B", seat: "99.0", opportunityId }),
+    ]);
+    // The import starts on Day 1 Rodeo in the loge
+    await mapRendered();
+
+    const rendered = mapRendered();
+    document.querySelector(".venue-layout .row-a [data-link-key]").click();
+    await rendered;
+
+    assert.equal(AppState.selectedSeat.opportunityId, opportunityId);
+    assert.equal(AppState.selectedSeat.seatCount, 3);
+    assert.equal(
+      document.querySelectorAll(".venue-layout .active[data-link-key]").length,
+      2
+    );
+
+    AppState.reload(SALESFORCE_DATA);
+    await mapRendered();
+  });
+});
+
+describe("going back", () => {
+  it("shows the previous view without adding undo steps", async () => {
+    await showView({ venue: "loge", day: "Day 1 - Friday", event: "Rodeo" });
+    await showView({ day: "Day 2 - Saturday" });
+    AppState.undo();
+    await mapRendered();
+    const undoSteps = AppState.undoStack.length;
+    const redoSteps = AppState.redoStack.length;
+
+    const back = new Promise((resolve) =>
+      window.addEventListener("popstate", resolve, { once: true })
+    );
+    window.history.back();
+    await back;
+    await mapRendered();
+
+    assert.equal(AppState.undoStack.length, undoSteps);
+    assert.equal(AppState.redoStack.length, redoSteps);
+    assert.ok(redoSteps > 0);
+  });
+});
+
+describe("split bookings", () => {
+  it("leaves out bookings of unknown venues", async () => {
+    const unknownVenue = (fields) => ({
+      ...seatRecord({ ...fields, opportunityId: "OPP-Arena-001" }),
+      "PricebookEntry.Product2.Venue": "arena",
+    });
+    AppState.reload([
+      ...SALESFORCE_DATA,
+      unknownVenue({ row: "A", seat: "1.0" }),
+      unknownVenue({ row: "C", seat: "1.0" }),
+    ]);
+    document.getElementById("fragments-toggle").click();
+
+    const content = document.getElementById("fragments-content");
+    assert.match(content.textContent, /Alberta Energy/);
+    assert.doesNotMatch(content.textContent, /OPP-Arena-001/);
+    // The map still follows the filters
+    await showView({ day: "Day 2 - Saturday" });
+
+    document.getElementById("fragments-toggle").click();
+    AppState.reload(SALESFORCE_DATA);
+    await mapRendered();
+  });
+});
+
+describe("importing a file", () => {
+  it("offers the days and events of the imported seats", async () => {
+    const csv = [
+      "Row,Seat,Day,Event,Account,Venue",
+      "A,98,Day 11 - Saturday,Chuckwagons,Test Account,loge",
+      "A,99,Day 1 - Friday,Rodeo,Test Account,loge",
+    ].join("\n");
+    // jsdom's File has no text()
+    await UI.readImportFile({
+      name: "seats.csv",
+      type: "text/csv",
+      text: async () => csv,
+    });
+    const rendered = mapRendered();
+    document.getElementById("import-confirm").click();
+    await rendered;
+
+    const values = (selector) =>
+      Array.from(document.querySelectorAll(selector), (el) => el.value);
+    assert.deepEqual(values("#day-filter option"), [
+      "Day 1 - Friday",
+      "Day 11 - Saturday",
+    ]);
+    assert.deepEqual(values('input[name="event-type"]'), [
+      "Chuckwagons",
+      "Rodeo",
+    ]);
+    assert.deepEqual(values("#seat-finder-form [name=event] option"), [
+      "Chuckwagons",
+      "Rodeo",
+    ]);
+
+    await showView({ day: "Day 11 - Saturday", event: "Chuckwagons" });
+    assert.ok(
+      document
+        .querySelector('.venue-layout [data-seat-id="A98"]')
+        .hasAttribute("data-status")
+    );
+
+    UI.renderFilterOptions(AppState.reload(SALESFORCE_DATA));
+    await mapRendered();
+  });
+});
+
+describe("rows with longer labels", () => {
+  it("selects and finds seats in row AA", async () => {
+    VENUE_DEFINITIONS.suites = {
+      id: "suites",
+      name: "Suites",
+      rows: ["AA", "A"],
+      layout: [{ type: "section", id: "suite-1", start: 1, end: 12 }],
+    };
+    const suiteSeat = (row, seat) => ({
+      ...seatRecord({ row, seat, opportunityId: `OPP-Suite-${row}` }),
+      "PricebookEntry.Product2.Venue": "suites",
+    });
+    AppState.reload([suiteSeat("AA", "12.0"), suiteSeat("A", "3.0")]);
+    AppState.setFilters({ venueId: "suites" });
+    await mapRendered();
+
+    const rendered = mapRendered();
+    document.querySelector('.venue-layout [data-seat-id="AA12"]').click();
+    await rendered;
+    assert.equal(AppState.selectedSeat.row, "AA");
+    assert.equal(AppState.selectedSeat.seatNumber, "12");
+
+    AppState.search("aa12");
+    await mapRendered();
+    assert.equal(
+      document.getElementById("seat-search-status").textContent,
+      "Seat AA12"
+    );
+    assert.ok(
+      document
+        .querySelector('.venue-layout [data-seat-id="AA12"]')
+        .classList.contains("search-match")
+    );
+
+    AppState.search("");
+    delete VENUE_DEFINITIONS.suites;
+    UI.renderFilterOptions(AppState.reload(SALESFORCE_DATA));
+    await mapRendered();
+  });
+});
+
+describe("account view", () => {
+  it("shows account names with quotes and markup as text", () => {
+    const name = 'Say "Hi" <img src=x onerror=alert(1)> Ltd';
+    UI.renderAccountMatches([name]);
+
+    const button = document.querySelector("[data-account-option]");
+    assert.equal(button.getAttribute("data-account-option"), name);
+    assert.equal(button.textContent, name);
+    assert.equal(document.querySelector("#account-content img"), null);
+  });
+});
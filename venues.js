@@ -0,0 +1,85 @@
+// venues.js - Venue layout definitions used to render the seating map
+//
+// Each venue is plain JSON-compatible data so it can be exported from
+// Salesforce or another system and dropped in without touching the HTML.
+//
+// - rows:     row labels from the top of the map to the bottom
+// - layout:   blocks from left to right; either a stairway or a seat section
+// - sections: seat numbers run from start to end, minus any numbers in skip.
+//             A section can override its range for individual rows.
+//             The name is shown when searching for seats.
+// - pillars:  seat numbers in a row that are taken up by a pillar
+
+const VENUE_DEFINITIONS = {
+  loge: {
+    id: "loge",
+    name: "Loge",
+    rows: ["E", "D", "C", "B", "A"],
+    layout: [
+      { type: "stairway" },
+      {
+        type: "section",
+        id: "section-1",
+        name: "Section 1",
+        start: 30,
+        end: 49,
+      },
+      { type: "stairway" },
+      {
+        type: "section",
+        id: "section-2",
+        name: "Section 2",
+        start: 50,
+        end: 65,
+      },
+      // Stairway takes up seat numbers 66-67
+      { type: "stairway" },
+      {
+        type: "section",
+        id: "section-3",
+        name: "Section 3",
+        start: 68,
+        end: 83,
+      },
+      // Stairway takes up seat numbers 84-85
+      { type: "stairway" },
+      {
+        type: "section",
+        id: "section-4",
+        name: "Section 4",
+        start: 86,
+        end: 103,
+      },
+      { type: "stairway" },
+    ],
+    pillars: [
+      { row: "E", start: 40, end: 41 },
+      { row: "E", start: 56, end: 57 },
+      { row: "E", start: 74, end: 75 },
+      { row: "E", start: 92, end: 95 },
+    ],
+  },
+  grandstand: {
+    id: "grandstand",
+    name: "Grandstand",
+    rows: ["H", "G", "F", "E", "D", "C", "B", "A"],
+    layout: [
+      { type: "stairway" },
+      {
+        type: "section",
+        id: "block-a",
+        name: "Block A",
+        start: 1,
+        end: 20,
+        // Seats A1-A4 make room for the accessible seating platform
+        rows: { A: { start: 5 } },
+      },
+      { type: "stairway" },
+      { type: "section", id: "block-b", name: "Block B", start: 21, end: 40 },
+      { type: "stairway" },
+      { type: "section", id: "block-c", name: "Block C", start: 41, end: 60 },
+      { type: "stairway" },
+    ],
+    pillars: [],
+  },
+};